@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', 'scripts');
+const SOURCE_DIR = path.join(__dirname, 'src');
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+
+// Settings that would send the run to a real API or another language
+const UNSET_ENV = ['MOCK_RECORD', 'MODEL', 'OPENAI_MODEL', 'TRANSLATION_REVIEW', 'REVIEW_MODEL', 'REVIEW_PROVIDER'];
+
+/**
+ * Runs the whole pipeline offline on the sample component: extraction,
+ * translation with the mock provider and its fixtures, and replacement into
+ * a copy. Everything is written to a temporary directory, and the translated
+ * copy must match expected/ exactly. `--update` rewrites expected/ instead.
+ */
+function runStep(script, args, cwd, env) {
+  execFileSync(process.execPath, [path.join(SCRIPTS_DIR, script), ...args], { cwd, env, stdio: 'inherit' });
+}
+
+function listFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(fullPath, base) : [path.relative(base, fullPath)];
+  }).sort();
+}
+
+/**
+ * Files that are missing, extra or different in `actualDir`, each with
+ * the first line that differs.
+ */
+function compareTrees(expectedDir, actualDir) {
+  const expected = fs.existsSync(expectedDir) ? listFiles(expectedDir) : [];
+  const actual = listFiles(actualDir);
+  const differences = [];
+
+  new Set([...expected, ...actual]).forEach(file => {
+    if (!expected.includes(file) || !actual.includes(file)) {
+      differences.push(`${file}: ${expected.includes(file) ? 'missing' : 'not expected'}`);
+      return;
+    }
+
+    const want = fs.readFileSync(path.join(expectedDir, file), 'utf8').split('\n');
+    const got = fs.readFileSync(path.join(actualDir, file), 'utf8').split('\n');
+    const line = want.findIndex((text, i) => text !== got[i]);
+    if (line !== -1 || want.length !== got.length) {
+      const at = line !== -1 ? line : Math.min(want.length, got.length);
+      differences.push(`${file}:${at + 1}\n     expected: ${want[at]}\n     actual:   ${got[at]}`);
+    }
+  });
+
+  return differences;
+}
+
+function main() {
+  const update = process.argv.includes('--update');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-run-'));
+  const outputDir = path.join(workDir, 'out');
+  const env = {
+    ...process.env,
+    TRANSLATOR_CONFIG: path.join(__dirname, 'translator.config.json'),
+    TRANSLATION_PROVIDER: 'mock',
+    MOCK_FIXTURES: path.join(__dirname, 'translation-fixtures.json'),
+    TARGET_LANGUAGES: 'zh-CN'
+  };
+  UNSET_ENV.forEach(name => delete env[name]);
+
+  try {
+    console.log(`🧪 Offline run in: ${workDir}`);
+    runStep('vue-sfc-extractor.js', [SOURCE_DIR, '--full'], workDir, env);
+    runStep('translate-text.js', [], workDir, env);
+    runStep('replace-text.js', [SOURCE_DIR, '--out-dir', outputDir], workDir, env);
+
+    if (update) {
+      fs.rmSync(EXPECTED_DIR, { recursive: true, force: true });
+      fs.cpSync(outputDir, EXPECTED_DIR, { recursive: true });
+      console.log(`📝 Expected output updated: ${EXPECTED_DIR}`);
+      return;
+    }
+
+    const differences = compareTrees(EXPECTED_DIR, outputDir);
+    if (differences.length > 0) {
+      console.error(`❌ Translated output differs from expected/:`);
+      differences.forEach(difference => console.error(`   - ${difference}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ Offline run matches expected/`);
+  } catch (error) {
+    console.error(`❌ Offline run failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  main();
+}
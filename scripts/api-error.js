@@ -0,0 +1,46 @@
+/**
+ * Error from a translation API request. `retryable` marks rate limits,
+ * server errors and network failures; `fatal` marks credential errors that
+ * would fail every other request as well; `truncated` marks an answer cut
+ * off at max_tokens, which a smaller request may fit.
+ */
+class ApiError extends Error {
+  constructor(message, { status = null, retryable = false, retryAfter = null, truncated = false, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = retryable;
+    this.fatal = status === 401 || status === 403;
+    // Milliseconds the server asked us to wait, if it said so
+    this.retryAfter = retryAfter;
+    this.truncated = truncated;
+    // The parsed error response, for providers that look at its details
+    this.body = body;
+  }
+
+  static fromResponse(response, message, body = null) {
+    const status = response.status;
+    return new ApiError(message, {
+      status,
+      body,
+      retryable: status === 408 || status === 409 || status === 429 || status >= 500,
+      retryAfter: ApiError.parseRetryAfter(response.headers && response.headers.get('retry-after'))
+    });
+  }
+
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    
+    // Either a number of seconds or an HTTP date
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = ApiError;
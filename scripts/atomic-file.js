@@ -0,0 +1,23 @@
+const fs = require('fs');
+
+/**
+ * Write a file through a temporary file in the same directory and a rename,
+ * so a crash or kill mid-write leaves the old file rather than half of the
+ * new one.
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function writeJsonAtomic(filePath, data) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+module.exports = { writeFileAtomic, writeJsonAtomic };
@@ -0,0 +1,186 @@
+// Context window and output limit per model, matched by the longest prefix
+// of the model name. The output limit is also sent as max_tokens.
+const MODEL_BUDGETS = {
+  'gpt-4o': { contextTokens: 128000, outputTokens: 16384 },
+  'gpt-4.1': { contextTokens: 1047576, outputTokens: 32768 },
+  'gpt-4-turbo': { contextTokens: 128000, outputTokens: 4096 },
+  'gpt-4': { contextTokens: 8192, outputTokens: 4096 },
+  'gpt-3.5-turbo': { contextTokens: 16385, outputTokens: 4096 },
+  'claude-3-5': { contextTokens: 200000, outputTokens: 8192 },
+  'claude': { contextTokens: 200000, outputTokens: 4096 },
+  // Ollama's default context window, not the model's maximum
+  'llama': { contextTokens: 4096, outputTokens: 1024 }
+};
+
+const DEFAULT_BUDGET = { contextTokens: 8192, outputTokens: 2000 };
+
+// More texts per batch make every retry of a bad answer more expensive
+const DEFAULT_MAX_TEXTS = 40;
+
+// Token estimates are rough, so plan batches to fill only part of the output
+const OUTPUT_SAFETY = 0.8;
+
+// Translations are estimated at twice the source's tokens, plus the JSON
+// around each entry in the request and the response
+const OUTPUT_RATIO = 2;
+const ENTRY_OVERHEAD_TOKENS = 12;
+
+/**
+ * Splits texts into batches that fit the model's context window and output
+ * limit. Texts from the same file are kept together where they fit, so a
+ * batch shares its component's context.
+ */
+class BatchPlanner {
+  constructor({ contextTokens, outputTokens, maxTexts = DEFAULT_MAX_TEXTS, promptTokens = 0 } = {}) {
+    this.contextTokens = contextTokens || DEFAULT_BUDGET.contextTokens;
+    this.outputTokens = outputTokens || DEFAULT_BUDGET.outputTokens;
+    this.maxTexts = maxTexts;
+    // Instructions, glossary and hints sent with every batch
+    this.promptTokens = promptTokens;
+  }
+
+  /**
+   * Budget for a model: the built-in table, then the config's `batching`
+   * section (with per-model entries under `models`), then CONTEXT_TOKENS
+   * and OUTPUT_TOKENS.
+   */
+  static forModel(model, settings = {}, env = process.env) {
+    const name = String(model || '').toLowerCase();
+    const match = (budgets = {}) => {
+      const prefix = Object.keys(budgets)
+        .filter(key => name.startsWith(key.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+      return prefix ? budgets[prefix] : {};
+    };
+    
+    const budget = {
+      ...DEFAULT_BUDGET,
+      ...match(MODEL_BUDGETS),
+      ...BatchPlanner.pick(settings),
+      ...BatchPlanner.pick(match(settings.models))
+    };
+    
+    return new BatchPlanner({
+      contextTokens: parseInt(env.CONTEXT_TOKENS, 10) || budget.contextTokens,
+      outputTokens: parseInt(env.OUTPUT_TOKENS, 10) || budget.outputTokens,
+      maxTexts: budget.maxTexts || DEFAULT_MAX_TEXTS
+    });
+  }
+
+  static pick(settings) {
+    const budget = {};
+    ['contextTokens', 'outputTokens', 'maxTexts']
+      .filter(key => settings[key])
+      .forEach(key => { budget[key] = settings[key]; });
+    return budget;
+  }
+
+  /**
+   * ~4 characters per token for Latin script, about one per character for
+   * CJK and other scripts.
+   */
+  static estimateTokens(text) {
+    let latin = 0;
+    let other = 0;
+    for (const char of String(text)) {
+      if (char.codePointAt(0) < 0x250) {
+        latin++;
+      } else {
+        other++;
+      }
+    }
+    return Math.ceil(latin / 4) + other;
+  }
+
+  static getFile(text) {
+    return text.file || (text.occurrences && text.occurrences[0] && text.occurrences[0].file) || '';
+  }
+
+  getInputBudget() {
+    // The context window holds the prompt and the answer
+    return this.contextTokens - this.outputTokens - this.promptTokens;
+  }
+
+  getOutputBudget() {
+    return Math.floor(this.outputTokens * OUTPUT_SAFETY);
+  }
+
+  /**
+   * `extraTokens` is what the request sends with the text besides the
+   * text itself, such as its code context.
+   */
+  estimateEntry(text, extraTokens = 0) {
+    const tokens = BatchPlanner.estimateTokens(text.text);
+    return {
+      input: tokens + extraTokens + ENTRY_OVERHEAD_TOKENS,
+      output: tokens * OUTPUT_RATIO + ENTRY_OVERHEAD_TOKENS
+    };
+  }
+
+  getInputBudgetPerText() {
+    return Math.floor(this.getInputBudget() / this.maxTexts);
+  }
+
+  createBatches(texts, getExtraTokens = () => 0) {
+    // Group by file, in order of first appearance
+    const groups = new Map();
+    texts.forEach(text => {
+      const file = BatchPlanner.getFile(text);
+      if (!groups.has(file)) {
+        groups.set(file, []);
+      }
+      groups.get(file).push({ text, ...this.estimateEntry(text, getExtraTokens(text)) });
+    });
+    
+    const batches = [];
+    let current = this.emptyBatch();
+    const close = () => {
+      if (current.texts.length > 0) {
+        batches.push(current.texts);
+        current = this.emptyBatch();
+      }
+    };
+    
+    for (const entries of groups.values()) {
+      // Start a new batch rather than split a file that fits in one
+      const group = entries.reduce((sum, entry) => this.add(sum, entry), this.emptyBatch());
+      if (!this.fits(current, group) && this.fits(this.emptyBatch(), group)) {
+        close();
+      }
+      
+      for (const entry of entries) {
+        if (!this.fits(current, entry)) {
+          close();
+        }
+        // A text too long for any batch still gets one of its own
+        current = this.add(current, entry);
+        current.texts.push(entry.text);
+      }
+    }
+    close();
+    
+    return batches;
+  }
+
+  emptyBatch() {
+    return { texts: [], count: 0, input: 0, output: 0 };
+  }
+
+  add(batch, entry) {
+    return {
+      texts: batch.texts,
+      count: batch.count + (entry.count || 1),
+      input: batch.input + entry.input,
+      output: batch.output + entry.output
+    };
+  }
+
+  fits(batch, entry) {
+    const next = this.add(batch, entry);
+    return next.count <= this.maxTexts &&
+      next.input <= this.getInputBudget() &&
+      next.output <= this.getOutputBudget();
+  }
+}
+
+module.exports = BatchPlanner;
@@ -0,0 +1,20 @@
+/**
+ * Thrown before a request that would take the run past MAX_BUDGET or
+ * MAX_TOKENS_TOTAL. It is `fatal`, so every stage stops instead of falling
+ * back to more requests, and the translator exits with its own status.
+ */
+class BudgetError extends Error {
+  constructor(message, { limit, spent } = {}) {
+    super(message);
+    this.name = 'BudgetError';
+    this.fatal = true;
+    this.budgetExceeded = true;
+    this.limit = limit;
+    this.spent = spent;
+  }
+}
+
+// Exit status of a run stopped by its budget, so CI can tell it from a failure
+BudgetError.EXIT_CODE = 3;
+
+module.exports = BudgetError;
@@ -0,0 +1,382 @@
+// Exported units look like
+//
+//   { id, source, target, status, file, locations: ['src/A.vue:12'],
+//     context: 'text of <button> in DeleteDialog', notes: ['...'] }
+//
+// with `target` null when there is no translation yet, and status one of
+// untranslated, ai, reviewed or override. Parsers return
+// { id, source, target, approved } per entry, `approved` being whether a
+// translator marked the translation as final.
+
+// XLIFF 2.0 segment states for each status; only `final` counts as approved
+const XLIFF_STATES = {
+  untranslated: 'initial',
+  ai: 'translated',
+  reviewed: 'reviewed',
+  override: 'final'
+};
+
+const CSV_COLUMNS = ['id', 'source', 'target', 'status', 'locations', 'context', 'notes'];
+
+// Statuses a translator can put in the CSV status column to approve a row
+const CSV_APPROVED = ['approved', 'final', 'override'];
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, cdata, entity) => {
+    if (cdata !== undefined) {
+      return cdata;
+    }
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' }[entity];
+  });
+}
+
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? unescapeXml(match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+/**
+ * XLIFF 2.0 with one <file> per source file and the notes of each unit as
+ * <note> elements by category.
+ */
+function serializeXliff(units, language) {
+  const files = new Map();
+  units.forEach(unit => {
+    const file = unit.file || 'strings';
+    if (!files.has(file)) {
+      files.set(file, []);
+    }
+    files.get(file).push(unit);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="${escapeXml(language.code)}" xml:space="preserve">`
+  ];
+  [...files.entries()].forEach(([file, fileUnits], index) => {
+    lines.push(`  <file id="f${index + 1}" original="${escapeXml(file)}">`);
+    fileUnits.forEach(unit => {
+      const notes = [
+        ...unit.locations.map(location => ['location', location]),
+        ...(unit.context ? [['context', unit.context]] : []),
+        ['status', unit.status],
+        ...unit.notes.map(note => ['comment', note])
+      ];
+      lines.push(`    <unit id="${escapeXml(unit.id)}">`);
+      lines.push('      <notes>');
+      notes.forEach(([category, text]) => lines.push(`        <note category="${category}">${escapeXml(text)}</note>`));
+      lines.push('      </notes>');
+      lines.push(`      <segment state="${XLIFF_STATES[unit.status]}">`);
+      lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+      if (unit.target !== null) {
+        lines.push(`        <target>${escapeXml(unit.target)}</target>`);
+      }
+      lines.push('      </segment>');
+      lines.push('    </unit>');
+    });
+    lines.push('  </file>');
+  });
+  lines.push('</xliff>');
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Units of an XLIFF 2.0 (or 1.2 <trans-unit>) file. Segments a tool split
+ * a unit into are joined again; inline markup such as <ph/> is not
+ * supported, since exports never contain it.
+ */
+function parseXliff(content) {
+  if (!/<xliff\b/.test(content)) {
+    throw new Error('Not an XLIFF file: no <xliff> element');
+  }
+
+  const entries = [];
+  const unitPattern = /<(unit|trans-unit)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  let unit;
+  while ((unit = unitPattern.exec(content)) !== null) {
+    const [, , attributes, body] = unit;
+    const id = getAttribute(attributes, 'id');
+    const parts = { source: [], target: [] };
+    let approved = false;
+    let hasTarget = false;
+
+    const segmentPattern = /<(segment|ignorable)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+    const segments = [];
+    let segment;
+    while ((segment = segmentPattern.exec(body)) !== null) {
+      segments.push(segment);
+    }
+    // XLIFF 1.2 has no segments, its source and target sit in the unit
+    (segments.length > 0 ? segments : [[null, 'segment', attributes, body]]).forEach(([, kind, segmentAttributes, segmentBody]) => {
+      if (kind === 'segment') {
+        approved = ['final', 'signed-off'].includes(getAttribute(segmentAttributes, 'state')) ||
+          getAttribute(segmentAttributes, 'approved') === 'yes';
+      }
+      ['source', 'target'].forEach(name => {
+        const match = segmentBody.match(new RegExp(`<${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${name}>)`));
+        if (!match) {
+          return;
+        }
+        const text = match[1] || '';
+        if (text.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '').includes('<')) {
+          throw new Error(`Unit ${id}: inline markup in <${name}> is not supported`);
+        }
+        parts[name].push(unescapeXml(text));
+        hasTarget = hasTarget || name === 'target';
+      });
+    });
+
+    entries.push({
+      id,
+      source: parts.source.join(''),
+      target: hasTarget ? parts.target.join('') : null,
+      approved
+    });
+  }
+
+  return entries;
+}
+
+function escapePo(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+function unescapePo(text) {
+  return text.replace(/\\(.)/g, (match, character) => ({ n: '\n', t: '\t', r: '\r' })[character] || character);
+}
+
+/**
+ * A PO keyword with its string, split after each newline the way gettext
+ * writes multi-line messages.
+ */
+function formatPoString(keyword, text) {
+  if (!text.includes('\n') || text.indexOf('\n') === text.length - 1) {
+    return `${keyword} "${escapePo(text)}"`;
+  }
+  const lines = text.split(/(?<=\n)/).map(line => `"${escapePo(line)}"`);
+  return [`${keyword} ""`, ...lines].join('\n');
+}
+
+/**
+ * Gettext PO. Locations become `#:` references, context and notes `#.`
+ * comments, the unit id an `#. id:` comment, and machine translations are
+ * marked fuzzy until a translator approves them.
+ */
+function serializePo(units, language) {
+  const header = [
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Content-Transfer-Encoding: 8bit\\n"',
+    `"Language: ${language.code.replace('-', '_')}\\n"`,
+    `"X-Generator: translation-exchange.js\\n"`
+  ].join('\n');
+
+  const entries = units.map(unit => {
+    const lines = [`#. id: ${unit.id}`, `#. status: ${unit.status}`];
+    if (unit.context) {
+      lines.push(`#. context: ${unit.context}`);
+    }
+    unit.notes.forEach(note => note.split('\n').forEach(line => lines.push(`#. ${line}`)));
+    if (unit.locations.length > 0) {
+      // A space separates references, so spaces in paths become no-break spaces
+      lines.push(`#: ${unit.locations.map(location => location.replace(/ /g, '\u00A0')).join(' ')}`);
+    }
+    if (unit.status === 'ai' || unit.status === 'reviewed') {
+      lines.push('#, fuzzy');
+    }
+    lines.push(formatPoString('msgid', unit.source));
+    lines.push(formatPoString('msgstr', unit.target || ''));
+    return lines.join('\n');
+  });
+
+  return `${[header, ...entries].join('\n\n')}\n`;
+}
+
+/**
+ * Entries of a PO file, without the header and obsolete (#~) entries.
+ * Plural forms take the first msgstr.
+ */
+function parsePo(content) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const finish = () => {
+    if (entry && entry.msgid !== undefined && entry.msgid !== '') {
+      entries.push({
+        id: entry.id || null,
+        source: entry.msgid,
+        target: entry.msgstr ? entry.msgstr : null,
+        approved: !entry.fuzzy
+      });
+    }
+    entry = null;
+    field = null;
+  };
+
+  content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#~')) {
+      finish();
+      return;
+    }
+    if (entry && field === 'msgstr' && (line.startsWith('#') || line.startsWith('msgctxt') || line.startsWith('msgid'))) {
+      finish();
+    }
+    entry = entry || { msgid: undefined, msgstr: '', fuzzy: false };
+
+    if (line.startsWith('#,')) {
+      entry.fuzzy = entry.fuzzy || /\bfuzzy\b/.test(line);
+    } else if (line.startsWith('#. id:')) {
+      entry.id = line.slice('#. id:'.length).trim();
+    } else if (line.startsWith('#')) {
+      // Comments and references are ours, not the translator's
+    } else {
+      const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)?\s*"(.*)"$/);
+      if (!match) {
+        throw new Error(`Invalid PO syntax on line ${index + 1}: ${rawLine}`);
+      }
+      const [, keyword, pluralIndex, text] = match;
+      if (keyword) {
+        field = keyword === 'msgid' ? 'msgid'
+          : keyword.startsWith('msgstr') && (pluralIndex === undefined || pluralIndex === '0') ? 'msgstr'
+            : null;
+        if (field) {
+          entry[field] = '';
+        }
+      }
+      if (field) {
+        entry[field] += unescapePo(text);
+      }
+    }
+  });
+  finish();
+
+  return entries;
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row, UTF-8 with a byte order mark so spreadsheet apps
+ * don't guess the encoding.
+ */
+function serializeCsv(units) {
+  const rows = [CSV_COLUMNS, ...units.map(unit => [
+    unit.id,
+    unit.source,
+    unit.target,
+    unit.status,
+    unit.locations.join('\n'),
+    unit.context,
+    unit.notes.join('\n')
+  ])];
+  return `\uFEFF${rows.map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Rows of a CSV file by header name. Spreadsheets in some locales save
+ * with semicolons, so those are accepted when the header has no comma.
+ */
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i];
+    if (quoted) {
+      if (character === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += character;
+    }
+  }
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(value => value !== ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('source') || !columns.includes('target')) {
+    throw new Error('Invalid CSV: expected a header row with source and target columns');
+  }
+
+  return body.map(cells => {
+    const get = name => (columns.includes(name) ? cells[columns.indexOf(name)] || '' : '');
+    return {
+      id: get('id') || null,
+      source: get('source'),
+      target: get('target') !== '' ? get('target') : null,
+      approved: CSV_APPROVED.includes(get('status').trim().toLowerCase())
+    };
+  });
+}
+
+const FORMATS = {
+  xliff: { extension: 'xlf', serialize: serializeXliff, parse: parseXliff },
+  po: { extension: 'po', serialize: serializePo, parse: parsePo },
+  csv: { extension: 'csv', serialize: serializeCsv, parse: parseCsv }
+};
+
+/**
+ * The format for a --format value or, without one, a file's extension.
+ */
+function getFormat(name, filePath = '') {
+  const key = (name || filePath.split('.').pop() || '').toLowerCase();
+  const format = FORMATS[key === 'xlf' ? 'xliff' : key];
+  if (!format) {
+    throw new Error(`Unknown format "${name || filePath}", expected xliff, po or csv`);
+  }
+  return format;
+}
+
+module.exports = { getFormat, FORMATS, serializeXliff, parseXliff, serializePo, parsePo, serializeCsv, parseCsv };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+
+/**
+ * Required terminology for one target language. The glossary file maps each
+ * target language code (or "*" for all of them) to a list of entries:
+ *
+ *   { "source": "modpack", "target": "整合包" }
+ *   { "source": "Fabric", "doNotTranslate": true }
+ */
+class Glossary {
+  constructor(entries = [], filePath = null) {
+    this.filePath = filePath;
+    this.entries = entries
+      .filter(entry => entry && entry.source && (entry.target || entry.doNotTranslate))
+      .map(entry => ({ ...entry, regex: this.createTermRegex(entry.source) }));
+  }
+
+  static load(filePath, language) {
+    if (!filePath) {
+      return new Glossary();
+    }
+    if (!fs.existsSync(filePath)) {
+      // Optional: a project without terminology rules just gets none
+      console.warn(`⚠️  Glossary file not found: ${filePath}, continuing without a glossary`);
+      return new Glossary();
+    }
+    
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      // Keyed by code, or by the language's name as older glossaries were
+      const key = [language.code, language.nativeName, language.name].find(name => data[name]);
+      const entries = [...(data['*'] || []), ...((key && data[key]) || [])];
+      console.log(`📖 Loaded ${entries.length} glossary entries for ${language.code}`);
+      return new Glossary(entries, filePath);
+    } catch (error) {
+      throw new Error(`Invalid glossary file ${filePath}: ${error.message}`);
+    }
+  }
+
+  createTermRegex(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    // Whole words only, plurals included ("resource packs" uses "resource pack")
+    return new RegExp(`(^|[^\\w-])${escaped}(?:s|es)?($|[^\\w-])`, 'i');
+  }
+
+  /**
+   * Entries whose source term appears in any of the texts.
+   */
+  findRelevant(texts) {
+    return this.entries.filter(entry => texts.some(text => entry.regex.test(text)));
+  }
+
+  /**
+   * Prompt lines for the entries relevant to a batch.
+   */
+  describe(entries) {
+    return entries.map(entry => entry.doNotTranslate
+      ? `  * "${entry.source}" → keep as "${entry.source}"`
+      : `  * "${entry.source}" → "${entry.target}"`
+    );
+  }
+
+  /**
+   * Glossary entries a translation breaks: a do-not-translate term that
+   * disappeared, or a source term whose required target term isn't used.
+   */
+  check(source, translation) {
+    return this.findRelevant([source])
+      .filter(entry => {
+        const expected = entry.doNotTranslate ? entry.source : entry.target;
+        return !translation.toLowerCase().includes(expected.toLowerCase());
+      })
+      .map(entry => ({
+        term: entry.source,
+        expected: entry.doNotTranslate ? entry.source : entry.target,
+        rule: entry.doNotTranslate ? 'do-not-translate' : 'required-term'
+      }));
+  }
+}
+
+module.exports = Glossary;
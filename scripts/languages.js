@@ -0,0 +1,71 @@
+// Free-text names accepted by earlier versions of TARGET_LANGUAGE
+const LANGUAGE_ALIASES = {
+  '简体中文': 'zh-CN',
+  '简中': 'zh-CN',
+  '繁体中文': 'zh-TW',
+  '繁體中文': 'zh-TW',
+  '日本語': 'ja',
+  '한국어': 'ko',
+  'english': 'en',
+  'chinese': 'zh-CN',
+  'japanese': 'ja',
+  'korean': 'ko',
+  'russian': 'ru'
+};
+
+// Where the generic display name isn't what a translator would call it
+const DISPLAY_NAMES = {
+  'zh-CN': { name: 'Simplified Chinese', nativeName: '简体中文' },
+  'zh-SG': { name: 'Simplified Chinese', nativeName: '简体中文' },
+  'zh-TW': { name: 'Traditional Chinese', nativeName: '繁體中文' },
+  'zh-HK': { name: 'Traditional Chinese (Hong Kong)', nativeName: '繁體中文（香港）' }
+};
+
+const DEFAULT_LANGUAGES = ['zh-CN'];
+
+/**
+ * Turn a BCP-47 code (or a legacy name such as "简体中文") into
+ * { code, name, nativeName, displayName }. `displayName` is what prompts use.
+ */
+function resolveLanguage(value) {
+  const input = String(value).trim();
+  const code = LANGUAGE_ALIASES[input] || LANGUAGE_ALIASES[input.toLowerCase()] || input;
+
+  let canonical;
+  try {
+    canonical = Intl.getCanonicalLocales(code)[0];
+  } catch (error) {
+    throw new Error(`Invalid target language "${input}", expected a BCP-47 code such as zh-CN, ja or pt-BR`);
+  }
+
+  const known = DISPLAY_NAMES[canonical];
+  const name = known ? known.name : new Intl.DisplayNames(['en'], { type: 'language' }).of(canonical);
+  const nativeName = known ? known.nativeName : new Intl.DisplayNames([canonical], { type: 'language' }).of(canonical);
+
+  return {
+    code: canonical,
+    name,
+    nativeName,
+    displayName: name === nativeName ? name : `${name} / ${nativeName}`
+  };
+}
+
+/**
+ * Target languages from TARGET_LANGUAGES (comma-separated), the legacy
+ * single TARGET_LANGUAGE, or the config file's `targetLanguages`.
+ */
+function getTargetLanguages(config, env = process.env) {
+  const list = env.TARGET_LANGUAGES
+    ? env.TARGET_LANGUAGES.split(',')
+    : env.TARGET_LANGUAGE
+      ? [env.TARGET_LANGUAGE]
+      : (config && config.targetLanguages) || DEFAULT_LANGUAGES;
+
+  const languages = list.filter(value => String(value).trim()).map(resolveLanguage);
+  // Keep the first of any duplicates, e.g. "zh-CN,简体中文"
+  return languages.filter((language, index) =>
+    languages.findIndex(other => other.code === language.code) === index
+  );
+}
+
+module.exports = { resolveLanguage, getTargetLanguages };
@@ -0,0 +1,57 @@
+const Provider = require('./provider');
+const ApiError = require('../api-error');
+
+/**
+ * Anthropic Messages API. Batch answers come back through a forced tool
+ * call whose input is the JSON object.
+ */
+class AnthropicProvider extends Provider {
+  constructor(options = {}) {
+    super('Anthropic', {
+      model: 'claude-3-5-haiku-latest',
+      endpoint: 'https://api.anthropic.com/v1',
+      ...options
+    });
+    this.apiKey = options.apiKey;
+    this.apiVersion = options.apiVersion || '2023-06-01';
+  }
+
+  async complete({ system, prompt, schema = null, maxTokens = this.maxTokens, onUsage = null }) {
+    const data = await this.postJson(`${this.endpoint}/messages`, {
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.apiVersion
+    }, {
+      model: this.model,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.temperature,
+      max_tokens: maxTokens,
+      ...(schema ? {
+        tools: [{ name: 'submit_translations', description: 'Submit the translated strings', input_schema: schema }],
+        tool_choice: { type: 'tool', name: 'submit_translations' }
+      } : {})
+    });
+    
+    if (onUsage && data.usage) {
+      onUsage({ inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 });
+    }
+    
+    if (data.stop_reason === 'max_tokens') {
+      throw new ApiError(`Response cut off at ${maxTokens} tokens`, { truncated: true });
+    }
+    
+    const content = data.content || [];
+    const toolUse = content.find(block => block.type === 'tool_use');
+    if (schema && toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+    
+    const text = content.filter(block => block.type === 'text').map(block => block.text).join('');
+    if (!text) {
+      throw new ApiError('No translation received from API', { retryable: true });
+    }
+    return text;
+  }
+}
+
+module.exports = AnthropicProvider;
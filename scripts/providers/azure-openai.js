@@ -0,0 +1,31 @@
+const OpenAIProvider = require('./openai');
+
+/**
+ * An Azure OpenAI deployment. The deployment picks the model, so `model`
+ * only names it in logs and cache keys.
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.endpoint || !options.deployment) {
+      throw new Error('Azure OpenAI needs AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT');
+    }
+    super({ model: options.deployment, ...options }, 'Azure OpenAI');
+    this.deployment = options.deployment;
+    this.apiVersion = options.apiVersion || '2024-10-21';
+  }
+
+  getUrl() {
+    const endpoint = this.endpoint.replace(/\/+$/, '');
+    return `${endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?api-version=${this.apiVersion}`;
+  }
+
+  getHeaders() {
+    return { 'api-key': this.apiKey };
+  }
+
+  getModelOptions() {
+    return {};
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,54 @@
+const Provider = require('./provider');
+const ApiError = require('../api-error');
+
+/**
+ * A plain translation service rather than a model. It receives the texts,
+ * not the prompt:
+ *
+ *   POST { "source": "en", "target": "<language>", "texts": ["..."] }
+ *   →    { "translations": ["..."] }
+ *
+ * and its answer is reshaped into the batch response the translator expects.
+ */
+class HttpJsonProvider extends Provider {
+  constructor(options = {}) {
+    if (!options.endpoint) {
+      throw new Error('The http provider needs HTTP_TRANSLATE_URL');
+    }
+    super('HTTP', { model: 'http', ...options });
+    this.apiKey = options.apiKey;
+    this.headers = options.headers || {};
+    this.sourceLanguage = options.sourceLanguage || 'en';
+    this.followsPrompts = false;
+  }
+
+  async complete({ schema = null, items = [], targetLanguage }) {
+    const data = await this.postJson(this.endpoint, {
+      ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+      ...this.headers
+    }, {
+      source: this.sourceLanguage,
+      target: targetLanguage,
+      texts: items.map(item => item.text)
+    });
+    
+    const translations = data.translations;
+    if (!Array.isArray(translations)) {
+      throw new ApiError('HTTP translation service returned no translations array', { retryable: true });
+    }
+    
+    // Services may answer with plain strings or { translation } objects
+    const texts = translations.map(entry => typeof entry === 'string' ? entry : entry && entry.translation);
+    if (!schema) {
+      return texts[0] || '';
+    }
+    
+    return JSON.stringify({
+      translations: items
+        .map((item, index) => ({ id: item.id, translation: texts[index] }))
+        .filter(entry => typeof entry.translation === 'string')
+    });
+  }
+}
+
+module.exports = HttpJsonProvider;
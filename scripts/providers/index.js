@@ -0,0 +1,89 @@
+const OpenAIProvider = require('./openai');
+const AzureOpenAIProvider = require('./azure-openai');
+const AnthropicProvider = require('./anthropic');
+const LocalProvider = require('./local');
+const HttpJsonProvider = require('./http-json');
+const MockProvider = require('./mock');
+
+const PROVIDER_TYPES = ['openai', 'azure', 'anthropic', 'ollama', 'llamacpp', 'http', 'mock'];
+
+/**
+ * Create the provider named by TRANSLATION_PROVIDER or the config file's
+ * `provider.type` (default: openai). Settings come from the config's
+ * `provider` section, with environment variables taking precedence; API
+ * keys are only read from the environment.
+ */
+function createProvider(settings = {}, env = process.env, type = env.TRANSLATION_PROVIDER || settings.type || 'openai') {
+  if (!PROVIDER_TYPES.includes(type)) {
+    throw new Error(`Unknown translation provider "${type}", expected one of: ${PROVIDER_TYPES.join(', ')}`);
+  }
+
+  const options = withoutEmpty({
+    ...settings,
+    model: env.MODEL || env.OPENAI_MODEL || settings.model
+  });
+
+  switch (type) {
+    case 'openai':
+      return new OpenAIProvider(withoutEmpty({
+        ...options,
+        apiKey: requireKey(env, 'OPENAI_API_KEY'),
+        endpoint: env.API_ENDPOINT || settings.endpoint,
+        structuredOutput: env.STRUCTURED_OUTPUT || settings.structuredOutput
+      }));
+    case 'azure':
+      return new AzureOpenAIProvider(withoutEmpty({
+        ...options,
+        apiKey: env.AZURE_OPENAI_API_KEY || requireKey(env, 'OPENAI_API_KEY'),
+        endpoint: env.AZURE_OPENAI_ENDPOINT || settings.endpoint,
+        deployment: env.AZURE_OPENAI_DEPLOYMENT || settings.deployment,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || settings.apiVersion,
+        structuredOutput: env.STRUCTURED_OUTPUT || settings.structuredOutput
+      }));
+    case 'anthropic':
+      return new AnthropicProvider(withoutEmpty({
+        ...options,
+        apiKey: requireKey(env, 'ANTHROPIC_API_KEY'),
+        endpoint: env.ANTHROPIC_ENDPOINT || settings.endpoint
+      }));
+    case 'ollama':
+    case 'llamacpp':
+      return new LocalProvider(withoutEmpty({
+        ...options,
+        apiKey: env.OPENAI_API_KEY,
+        endpoint: env.API_ENDPOINT || settings.endpoint,
+        structuredOutput: env.STRUCTURED_OUTPUT || settings.structuredOutput
+      }), type);
+    case 'http':
+      return new HttpJsonProvider(withoutEmpty({
+        ...options,
+        apiKey: env.HTTP_TRANSLATE_API_KEY,
+        endpoint: env.HTTP_TRANSLATE_URL || settings.endpoint
+      }));
+    case 'mock': {
+      const recordType = env.MOCK_RECORD || settings.record;
+      if (recordType === 'mock') {
+        throw new Error('MOCK_RECORD must name a real provider');
+      }
+      return new MockProvider(withoutEmpty({
+        ...options,
+        fixturesPath: env.MOCK_FIXTURES || settings.fixtures || 'translation-fixtures.json',
+        record: recordType ? createProvider(settings, env, recordType) : null
+      }));
+    }
+  }
+}
+
+function requireKey(env, name) {
+  if (!env[name]) {
+    throw new Error(`${name} environment variable is required`);
+  }
+  return env[name];
+}
+
+// Unset options fall back to the provider's defaults
+function withoutEmpty(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+module.exports = { createProvider, PROVIDER_TYPES };
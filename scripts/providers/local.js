@@ -0,0 +1,22 @@
+const OpenAIProvider = require('./openai');
+
+const DEFAULT_ENDPOINTS = {
+  ollama: 'http://localhost:11434/v1',
+  llamacpp: 'http://localhost:8080/v1'
+};
+
+/**
+ * Ollama or a llama.cpp server through their OpenAI-compatible endpoint.
+ * No API key is needed.
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}, type = 'ollama') {
+    super({
+      model: type === 'ollama' ? 'llama3.1' : 'default',
+      endpoint: DEFAULT_ENDPOINTS[type],
+      ...options
+    }, type === 'ollama' ? 'Ollama' : 'llama.cpp');
+  }
+}
+
+module.exports = LocalProvider;
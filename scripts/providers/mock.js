@@ -0,0 +1,75 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Provider = require('./provider');
+
+/**
+ * Offline provider for running the pipeline without an API. Answers come
+ * from a fixtures file:
+ *
+ *   { "responses": { "<request hash>": "<recorded answer>" },
+ *     "texts": { "Install": "安装" } }
+ *
+ * A recorded answer for the exact request wins; otherwise each text gets
+ * its entry from `texts`, or stays unchanged. With a `record` provider,
+ * requests without a recorded answer go to that provider and its answers
+ * are written back to the fixtures file.
+ */
+class MockProvider extends Provider {
+  constructor(options = {}) {
+    super('Mock', { model: 'mock', ...options });
+    this.fixturesPath = options.fixturesPath || null;
+    this.record = options.record || null;
+    this.fixtures = { responses: {}, texts: {} };
+    
+    if (this.record) {
+      this.model = this.record.model;
+    }
+    
+    if (this.fixturesPath && fs.existsSync(this.fixturesPath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+        this.fixtures = { responses: data.responses || {}, texts: data.texts || {} };
+      } catch (error) {
+        throw new Error(`Invalid fixtures file ${this.fixturesPath}: ${error.message}`);
+      }
+    }
+  }
+
+  async complete(request) {
+    const key = this.getRequestKey(request);
+    if (key in this.fixtures.responses) {
+      return this.fixtures.responses[key];
+    }
+    
+    if (this.record) {
+      const response = await this.record.complete(request);
+      this.fixtures.responses[key] = response;
+      this.saveFixtures();
+      return response;
+    }
+    
+    const items = request.items || [];
+    const translate = text => this.fixtures.texts[text] ?? text;
+    if (!request.schema) {
+      return translate(items.length > 0 ? items[0].text : request.prompt);
+    }
+    
+    return JSON.stringify({
+      translations: items.map(item => ({ id: item.id, translation: translate(item.text) }))
+    });
+  }
+
+  getRequestKey({ system, prompt, schema }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([system, prompt, schema || null]))
+      .digest('hex');
+  }
+
+  saveFixtures() {
+    if (this.fixturesPath) {
+      fs.writeFileSync(this.fixturesPath, JSON.stringify(this.fixtures, null, 2));
+    }
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,122 @@
+const Provider = require('./provider');
+const ApiError = require('../api-error');
+
+// Ways of asking for JSON, from strictest to most widely supported
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'tools', 'json_object', 'prompt'];
+
+/**
+ * Any endpoint that speaks the OpenAI chat completions API.
+ */
+class OpenAIProvider extends Provider {
+  constructor(options = {}, name = 'OpenAI') {
+    super(name, {
+      model: 'gpt-4o-mini',
+      endpoint: 'https://api.openai.com/v1',
+      ...options
+    });
+    this.apiKey = options.apiKey;
+    // json_schema, tools, json_object or prompt (instructions only)
+    this.structuredOutput = options.structuredOutput || 'json_schema';
+    
+    if (!STRUCTURED_OUTPUT_MODES.includes(this.structuredOutput)) {
+      throw new Error(`STRUCTURED_OUTPUT must be one of: ${STRUCTURED_OUTPUT_MODES.join(', ')}`);
+    }
+  }
+
+  async complete({ system, prompt, schema = null, maxTokens = this.maxTokens, onUsage = null }) {
+    const mode = this.structuredOutput;
+    let data;
+    try {
+      data = await this.postJson(this.getUrl(), this.getHeaders(), {
+        ...this.getModelOptions(),
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        temperature: this.temperature,
+        max_tokens: maxTokens,
+        ...(schema ? this.getStructuredOutputOptions(schema, mode) : {})
+      });
+    } catch (error) {
+      // Endpoints that don't know response_format or tools reject the request;
+      // step down to the next, more widely supported mode and try again.
+      // Other 400s, such as an over-long prompt, leave the mode alone
+      if (schema && error.status === 400 && mode !== 'prompt' && this.isUnsupportedOutputError(error)) {
+        if (this.structuredOutput === mode) {
+          const next = STRUCTURED_OUTPUT_MODES[STRUCTURED_OUTPUT_MODES.indexOf(mode) + 1];
+          console.warn(`   ⚠️  Endpoint rejected ${mode} output (${error.message}), falling back to ${next}`);
+          this.structuredOutput = next;
+        }
+        return this.complete({ system, prompt, schema, maxTokens, onUsage });
+      }
+      throw error;
+    }
+    
+    if (onUsage && data.usage) {
+      onUsage({ inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 });
+    }
+    
+    if (!data.choices || data.choices.length === 0) {
+      throw new ApiError('No translation received from API', { retryable: true });
+    }
+    
+    if (data.choices[0].finish_reason === 'length') {
+      throw new ApiError(`Response cut off at ${maxTokens} tokens`, { truncated: true });
+    }
+    
+    const message = data.choices[0].message;
+    if (schema && message.tool_calls && message.tool_calls.length > 0) {
+      return message.tool_calls[0].function.arguments;
+    }
+    
+    return message.content;
+  }
+
+  /**
+   * Whether a 400 is about the structured output options rather than the
+   * request's content.
+   */
+  isUnsupportedOutputError(error) {
+    const details = `${error.message} ${JSON.stringify(error.body || {})}`;
+    return /\b(response_format|json_schema|json_object|tools|tool_choice)\b/i.test(details);
+  }
+
+  getUrl() {
+    return `${this.endpoint}/chat/completions`;
+  }
+
+  getHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  getModelOptions() {
+    return { model: this.model };
+  }
+
+  getStructuredOutputOptions(schema, mode) {
+    switch (mode) {
+      case 'json_schema':
+        return {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'translations', strict: true, schema }
+          }
+        };
+      case 'tools':
+        return {
+          tools: [{
+            type: 'function',
+            function: { name: 'submit_translations', description: 'Submit the translated strings', parameters: schema }
+          }],
+          tool_choice: { type: 'function', function: { name: 'submit_translations' } }
+        };
+      case 'json_object':
+        return { response_format: { type: 'json_object' } };
+      default:
+        // The prompt alone asks for JSON
+        return {};
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,57 @@
+const ApiError = require('../api-error');
+
+const SYSTEM_PROMPT = 'You are a professional software localization expert. Provide accurate, contextual translations for UI strings.';
+
+/**
+ * Base class for translation backends. A provider turns one request into
+ * the model's answer as a string:
+ *
+ *   complete({ system, prompt, schema, items, targetLanguage, maxTokens, onUsage })
+ *
+ * `schema` is set for batch requests, whose answer must be JSON matching it;
+ * `items` are the { id, text } pairs the prompt asks about, for backends
+ * that translate texts directly instead of following a prompt. An answer
+ * cut off at `maxTokens` throws an ApiError marked `truncated`. Backends
+ * that report token usage pass it to `onUsage({ inputTokens, outputTokens })`,
+ * truncated answers included.
+ */
+class Provider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.model = options.model;
+    this.endpoint = options.endpoint;
+    this.maxTokens = options.maxTokens || 2000;
+    this.temperature = options.temperature ?? 0.3;
+    // False for services that translate `items` and ignore the prompt
+    this.followsPrompts = true;
+  }
+
+  async complete() {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  async postJson(url, headers, body) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new ApiError(`Network error: ${error.message}`, { retryable: true });
+    }
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = errorData.error?.message || errorData.message || 'Unknown error';
+      throw ApiError.fromResponse(response, `${this.name} API error: ${response.status} - ${message}`, errorData);
+    }
+    
+    return response.json();
+  }
+}
+
+Provider.SYSTEM_PROMPT = SYSTEM_PROMPT;
+
+module.exports = Provider;
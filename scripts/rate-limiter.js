@@ -0,0 +1,94 @@
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Limits concurrent requests and keeps requests and tokens within a
+ * per-minute budget over a sliding one-minute window. A limit of 0 means
+ * unlimited.
+ */
+class RateLimiter {
+  constructor({ concurrency = 1, requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerMinute = tokensPerMinute;
+    
+    this.active = 0;
+    this.waiting = [];
+    this.history = [];
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Run a task once a slot and enough budget for its estimated tokens are
+   * free.
+   */
+  async schedule(task, tokens = 0) {
+    await this.acquire(tokens);
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  async acquire(tokens) {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      // release() hands its slot straight to us
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    
+    let wait = this.getWaitTime(tokens);
+    while (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+      wait = this.getWaitTime(tokens);
+    }
+    
+    this.history.push({ time: Date.now(), tokens });
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Hold every request until the given time has passed, e.g. after a 429.
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  getWaitTime(tokens) {
+    const now = Date.now();
+    this.history = this.history.filter(entry => entry.time > now - WINDOW_MS);
+    
+    let wait = this.pausedUntil - now;
+    
+    if (this.requestsPerMinute > 0 && this.history.length >= this.requestsPerMinute) {
+      const oldest = this.history[this.history.length - this.requestsPerMinute];
+      wait = Math.max(wait, oldest.time + WINDOW_MS - now);
+    }
+    
+    if (this.tokensPerMinute > 0) {
+      // Wait until enough old requests leave the window; a single request
+      // over the whole budget still goes through on an empty window
+      let used = this.history.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (const entry of this.history) {
+        if (used + tokens <= this.tokensPerMinute) {
+          break;
+        }
+        used -= entry.tokens;
+        wait = Math.max(wait, entry.time + WINDOW_MS - now);
+      }
+    }
+    
+    return wait;
+  }
+}
+
+module.exports = RateLimiter;
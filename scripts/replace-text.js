@@ -2,17 +2,37 @@
 
 const fs = require('fs');
 const path = require('path');
+const TranslatorConfig = require('./translator-config');
+const TranslationOverrides = require('./translation-overrides');
+const { getTargetLanguages } = require('./languages');
 
+/**
+ * Applies translation-mapping.<lang>.json to a source tree. By default the
+ * tree is rewritten in place (after a backup); with `outputDir` the source
+ * is copied to <outputDir>/<lang> and the copy is rewritten instead.
+ */
 class TextReplacer {
-  constructor(sourceDir) {
+  constructor(sourceDir, config = TranslatorConfig.load(), options = {}) {
     this.sourceDir = sourceDir;
+    this.config = config;
+    this.language = options.language || getTargetLanguages(config)[0];
+    this.outputDir = options.outputDir || null;
+    // Directory that gets rewritten; extracted paths are relative to it
+    this.targetDir = this.outputDir ? path.join(this.outputDir, this.language.code) : sourceDir;
+    // Human translations win over the mapping, per file and line if given
+    this.overrides = TranslationOverrides.load(config.overridesPath, this.language);
+    this.usedOverrides = new Set();
     this.replacements = new Map();
+    this.mappingCount = 0;
+    this.locatedReplacements = new Map();
     this.processedFiles = [];
     this.totalReplacements = 0;
     this.backupDir = `${sourceDir}-backup`;
     this.reportData = {
       startTime: new Date().toISOString(),
       sourceDir,
+      targetDir: this.targetDir,
+      targetLanguage: this.language.code,
       filesProcessed: 0,
       totalReplacements: 0,
       fileChanges: []
@@ -20,23 +40,30 @@ class TextReplacer {
   }
 
   async replaceTexts() {
-    console.log(`🔄 Starting text replacement in: ${this.sourceDir}`);
+    console.log(`🔄 Starting ${this.language.code} text replacement in: ${this.targetDir}`);
     
     // Load translation mapping
     await this.loadTranslationMapping();
+    this.addOverrides();
+    this.mappingCount = this.replacements.size;
+    this.loadOccurrences();
     
-    if (this.replacements.size === 0) {
+    if (this.locatedReplacements.size === 0) {
       console.log('ℹ️  No translations to replace');
       return;
     }
     
-    console.log(`📝 Loaded ${this.replacements.size} translation mappings`);
+    console.log(`📝 Loaded ${this.mappingCount} translation mappings`);
     
-    // Create backup if it doesn't exist
-    await this.createBackup();
+    if (this.outputDir) {
+      await this.createOutputTree();
+    } else {
+      // Create backup if it doesn't exist
+      await this.createBackup();
+    }
     
     // Process files
-    await this.processDirectory(this.sourceDir);
+    await this.processDirectory(this.targetDir);
     
     // Generate report
     await this.generateReport();
@@ -48,10 +75,10 @@ class TextReplacer {
   }
 
   async loadTranslationMapping() {
-    const mappingPath = path.join(process.cwd(), 'translation-mapping.json');
+    const mappingPath = path.join(process.cwd(), `translation-mapping.${this.language.code}.json`);
     
     if (!fs.existsSync(mappingPath)) {
-      console.log('⚠️  translation-mapping.json not found. No translations to apply.');
+      console.log(`⚠️  ${path.basename(mappingPath)} not found. No translations to apply.`);
       return;
     }
     
@@ -91,6 +118,81 @@ class TextReplacer {
     }
   }
 
+  /**
+   * Overridden strings the mapping left untranslated still need replacing;
+   * the override itself is looked up per file in processFile.
+   */
+  addOverrides() {
+    this.overrides.getSources()
+      .filter(source => !this.replacements.has(source))
+      .forEach(source => this.replacements.set(source, source));
+  }
+
+  /**
+   * Strings are replaced at the exact occurrences recorded in
+   * extracted-text.json, never wherever the same text happens to appear.
+   * Messages with placeholders ("Installed {count} mods") don't appear
+   * verbatim in the source and are rebuilt from their recorded source.
+   */
+  loadOccurrences() {
+    const extractedPath = path.join(process.cwd(), 'extracted-text.json');
+    if (!fs.existsSync(extractedPath)) {
+      console.log('⚠️  extracted-text.json not found, run the extractor first. No strings can be located.');
+      return;
+    }
+    
+    try {
+      const extractedData = JSON.parse(fs.readFileSync(extractedPath, 'utf8'));
+      let located = 0;
+      let messageCount = 0;
+      
+      for (const item of extractedData.texts || []) {
+        const translated = this.replacements.get(item.text);
+        const occurrences = (item.occurrences || []).filter(occurrence => Number.isInteger(occurrence.offset));
+        if (!translated || occurrences.length === 0) {
+          continue;
+        }
+        
+        this.replacements.delete(item.text);
+        located++;
+        messageCount += occurrences.some(occurrence => occurrence.placeholders) ? 1 : 0;
+        
+        for (const occurrence of occurrences) {
+          const override = this.overrides.resolve(item.text, occurrence.file, occurrence.line);
+          if (!override && translated === item.text) {
+            continue;
+          }
+          if (!this.locatedReplacements.has(occurrence.file)) {
+            this.locatedReplacements.set(occurrence.file, []);
+          }
+          this.locatedReplacements.get(occurrence.file).push({
+            original: item.text,
+            translated: override ? override.translation : translated,
+            override,
+            offset: occurrence.offset,
+            line: occurrence.line,
+            column: occurrence.column,
+            source: occurrence.source || item.text,
+            placeholders: occurrence.placeholders || null,
+            format: occurrence.format
+          });
+        }
+      }
+      
+      if (located > 0) {
+        console.log(`   ✓ Loaded recorded locations of ${located} strings (${messageCount} placeholder messages)`);
+      }
+      
+      // A mapped string without a recorded occurrence is left alone: the same
+      // text elsewhere may be an event name or key the extractor rejected
+      if (this.replacements.size > 0) {
+        console.log(`   ℹ️  ${this.replacements.size} mapped strings have no recorded occurrence and are not replaced`);
+      }
+    } catch (error) {
+      console.log(`⚠️  Error reading extracted-text.json: ${error.message}`);
+    }
+  }
+
   async createBackup() {
     if (!fs.existsSync(this.backupDir)) {
       console.log(`💾 Creating backup at: ${this.backupDir}`);
@@ -104,6 +206,16 @@ class TextReplacer {
     }
   }
 
+  /**
+   * Fresh copy of the source for this language, so the source itself and
+   * the other languages' trees stay untouched.
+   */
+  async createOutputTree() {
+    console.log(`📁 Copying ${this.sourceDir} to: ${this.targetDir}`);
+    fs.rmSync(this.targetDir, { recursive: true, force: true });
+    await this.copyDirectory(this.sourceDir, this.targetDir);
+  }
+
   async copyDirectory(src, dest) {
     const entries = fs.readdirSync(src, { withFileTypes: true });
     
@@ -128,35 +240,26 @@ class TextReplacer {
     
     for (const entry of entries) {
       const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(this.targetDir, fullPath);
       
       if (entry.isDirectory()) {
-        // Skip common directories that don't contain source files
-        if (!['node_modules', '.git', 'dist', 'build', '.nuxt', '.next'].includes(entry.name)) {
+        // Skip directories excluded by the config (node_modules, dist, ...)
+        if (!this.config.isExcludedDirectory(relativePath)) {
           await this.processDirectory(fullPath);
         }
       } else if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        const filename = entry.name.toLowerCase();
-        
-        // Skip configuration files that shouldn't be translated
-        const skipFiles = [
-          'nuxt.config.ts', 'nuxt.config.js',
-          'vite.config.ts', 'vite.config.js', 
-          'webpack.config.js', 'webpack.config.ts',
-          'rollup.config.js', 'rollup.config.ts',
-          'tailwind.config.js', 'tailwind.config.ts',
-          'tsconfig.json', 'package.json',
-          'eslint.config.js', 'eslint.config.ts'
-        ];
-        
-        if (skipFiles.includes(filename)) {
-          console.log(`⏭️  Skipping config file: ${entry.name}`);
+        // Same include/exclude rules as the extractor, so only files that
+        // strings were extracted from get rewritten
+        if (!this.config.isIncludedFile(relativePath)) {
           continue;
         }
         
-        if (['.vue', '.js', '.ts', '.jsx', '.tsx'].includes(ext)) {
-          await this.processFile(fullPath);
+        if (!this.config.getFileRules(relativePath)) {
+          console.log(`⏭️  Skipping excluded file: ${relativePath}`);
+          continue;
         }
+        
+        await this.processFile(fullPath);
       }
     }
   }
@@ -164,62 +267,14 @@ class TextReplacer {
   async processFile(filePath) {
     try {
       const originalContent = fs.readFileSync(filePath, 'utf8');
-      const relativePath = path.relative(this.sourceDir, filePath);
+      const relativePath = path.relative(this.targetDir, filePath);
       
       console.log(`📄 Processing: ${relativePath}`);
       this.reportData.filesProcessed++;
       
-      let modifiedContent = originalContent;
-      let fileReplacements = 0;
-      const changes = [];
-      
-      // Perform replacements
-      for (const [original, translated] of this.replacements) {
-        try {
-          // Skip if original or translated is undefined/null/empty
-          if (!original || !translated || original === translated) {
-            continue;
-          }
-          
-          // Additional validation
-          if (typeof original !== 'string' || typeof translated !== 'string') {
-            console.warn(`   ⚠️  Invalid replacement pair: ${typeof original} -> ${typeof translated}`);
-            continue;
-          }
-          
-          const regex = this.createReplacementRegex(original);
-          
-          // Use a safer approach to find matches
-          let match;
-          const matches = [];
-          const tempRegex = new RegExp(regex.source, regex.flags);
-          
-          while ((match = tempRegex.exec(modifiedContent)) !== null) {
-            matches.push({
-              match: match[0],
-              index: match.index
-            });
-            // Prevent infinite loop
-            if (!tempRegex.global) break;
-          }
-          
-          if (matches.length > 0) {
-            // Simple direct replacement
-            modifiedContent = modifiedContent.replace(regex, translated);
-            
-            fileReplacements += matches.length;
-            changes.push({
-              original,
-              translated,
-              occurrences: matches.length,
-              contexts: matches
-            });
-          }
-          
-        } catch (replaceError) {
-          console.warn(`   ⚠️  Error replacing "${original}": ${replaceError.message}`);
-        }
-      }
+      const located = this.locatedReplacements.get(relativePath) || [];
+      const { content: modifiedContent, changes } = this.applyLocatedReplacements(originalContent, located);
+      const fileReplacements = changes.reduce((sum, change) => sum + change.occurrences, 0);
       
       // Write modified content if changes were made
       if (fileReplacements > 0) {
@@ -241,31 +296,153 @@ class TextReplacer {
     }
   }
 
-  createReplacementRegex(text) {
-    try {
-      // Escape special regex characters
-      const escapedText = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  /**
+   * Write each translation over its recorded occurrence, after checking the
+   * source still reads the same there. Changes are grouped by string.
+   */
+  applyLocatedReplacements(content, replacements) {
+    const changes = new Map();
+    
+    // Work from the end of the file so earlier offsets stay valid
+    const ordered = this.dropOverlaps(replacements).sort((a, b) => b.offset - a.offset);
+    for (const replacement of ordered) {
+      const { offset, source } = replacement;
+      if (content.slice(offset, offset + source.length) !== source || !this.isWholeString(content, offset, source)) {
+        console.warn(`   ⚠️  Source changed since extraction, skipping "${replacement.original}" at line ${replacement.line}`);
+        continue;
+      }
       
-      // Return a simple global regex for exact text matching
-      return new RegExp(escapedText, 'g');
-    } catch (error) {
-      console.warn(`   ⚠️  Error creating regex for text: "${text}"`);
-      // Return a regex that matches nothing if there's an error
-      return /(?!.*)/g;
+      const rebuilt = replacement.placeholders ? this.rebuildMessage(replacement) : replacement.translated;
+      if (rebuilt === null) {
+        console.warn(`   ⚠️  Placeholders don't match in translation, skipping message: "${replacement.original}"`);
+        continue;
+      }
+      
+      content = content.slice(0, offset) + rebuilt + content.slice(offset + source.length);
+      if (replacement.override) {
+        this.usedOverrides.add(replacement.override);
+      }
+      
+      const key = `${replacement.original}\u0000${replacement.translated}`;
+      if (!changes.has(key)) {
+        changes.set(key, { original: replacement.original, translated: replacement.translated, occurrences: 0, contexts: [] });
+      }
+      const change = changes.get(key);
+      change.occurrences++;
+      change.contexts.unshift({ match: source, index: offset, line: replacement.line, column: replacement.column });
+    }
+    
+    return { content, changes: [...changes.values()] };
+  }
+
+  /**
+   * Keep one of each set of overlapping occurrences, the longest, so a
+   * whole message wins over a fragment of it.
+   */
+  dropOverlaps(replacements) {
+    const kept = [];
+    const bySize = [...replacements].sort((a, b) => b.source.length - a.source.length || a.offset - b.offset);
+    for (const replacement of bySize) {
+      const end = replacement.offset + replacement.source.length;
+      const overlap = kept.find(other => replacement.offset < other.offset + other.source.length && other.offset < end);
+      if (overlap) {
+        console.warn(`   ⚠️  "${replacement.original}" at line ${replacement.line} is part of "${overlap.original}", skipping it`);
+        continue;
+      }
+      kept.push(replacement);
     }
+    return kept;
+  }
+
+  /**
+   * Whether the text at an offset is a whole string literal or text node
+   * and not part of a longer word, as "Save" in "Saved" would be.
+   */
+  isWholeString(content, offset, source) {
+    const wordChar = /[\p{L}\p{N}_]/u;
+    const before = content[offset - 1] || '';
+    const after = content[offset + source.length] || '';
+    return !(wordChar.test(before) && wordChar.test(source[0])) &&
+      !(wordChar.test(after) && wordChar.test(source[source.length - 1]));
+  }
+
+  rebuildMessage(message) {
+    const tokenRegex = /\{[^{}]+\}|<\/?\d+\/?>/g;
+    const expected = (message.original.match(tokenRegex) || []).sort();
+    const actual = (message.translated.match(tokenRegex) || []).sort();
+    
+    // Every placeholder must survive translation exactly once per use
+    if (expected.length !== actual.length || expected.some((token, i) => token !== actual[i])) {
+      return null;
+    }
+    
+    const restore = token =>
+      Object.prototype.hasOwnProperty.call(message.placeholders, token) ? message.placeholders[token] : token;
+    
+    if (message.format === 'template-literal') {
+      // Escape the translated text, then splice the ${} expressions back in
+      const texts = message.translated.split(tokenRegex).map(text =>
+        text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')
+      );
+      const tokens = message.translated.match(tokenRegex) || [];
+      const body = texts.map((text, i) => text + (i < tokens.length ? restore(tokens[i]) : '')).join('');
+      return `\`${body}\``;
+    }
+    
+    return message.translated.replace(tokenRegex, restore);
+  }
+
+  /**
+   * Overrides that were applied, that matched nothing this time, and that
+   * are stale because their source string (at their file or line) is no
+   * longer extracted.
+   */
+  getOverrideReport() {
+    const extractedPath = path.join(process.cwd(), 'extracted-text.json');
+    const extracted = fs.existsSync(extractedPath)
+      ? new Map((JSON.parse(fs.readFileSync(extractedPath, 'utf8')).texts || [])
+        .map(item => [item.text, item.occurrences || [item]]))
+      : null;
+    
+    const isStale = entry => {
+      if (!extracted) {
+        return false;
+      }
+      const occurrences = extracted.get(entry.source);
+      return !occurrences || (entry.file !== null && !occurrences.some(occurrence =>
+        occurrence.file === entry.file && (entry.line === null || occurrence.line === entry.line)
+      ));
+    };
+    
+    const report = { file: this.overrides.filePath, used: [], unused: [], stale: [] };
+    this.overrides.entries.forEach(entry => {
+      const { source, translation, file, line } = entry;
+      const group = this.usedOverrides.has(entry) ? 'used' : isStale(entry) ? 'stale' : 'unused';
+      report[group].push({ source, translation, ...(file ? { file } : {}), ...(line ? { line } : {}) });
+    });
+    return report;
   }
 
   async generateReport() {
     this.reportData.endTime = new Date().toISOString();
     this.reportData.totalReplacements = this.totalReplacements;
     
-    const reportPath = path.join(process.cwd(), 'replacement-report.json');
+    if (this.overrides.entries.length > 0) {
+      const overrides = this.getOverrideReport();
+      this.reportData.overrides = overrides;
+      console.log(`🔒 Overrides: ${overrides.used.length} used, ${overrides.unused.length} unused, ${overrides.stale.length} stale`);
+      overrides.stale.forEach(entry => {
+        console.warn(`   ⚠️  Stale override, source string no longer exists: "${entry.source}"${entry.file ? ` (${entry.file}${entry.line ? `:${entry.line}` : ''})` : ''}`);
+      });
+    }
+    
+    const reportPath = path.join(process.cwd(), `replacement-report.${this.language.code}.json`);
     fs.writeFileSync(reportPath, JSON.stringify(this.reportData, null, 2));
     
     console.log(`📋 Replacement report saved to: ${reportPath}`);
     
     // Generate summary report
-    const summaryPath = path.join(process.cwd(), 'replacement-summary.md');
+    const summaryPath = path.join(process.cwd(), `replacement-summary.${this.language.code}.md`);
     const summaryContent = this.generateSummaryMarkdown();
     fs.writeFileSync(summaryPath, summaryContent);
     
@@ -279,13 +456,18 @@ class TextReplacer {
     let summary = `# Text Replacement Summary\n\n`;
     summary += `**Date:** ${new Date(this.reportData.startTime).toLocaleString()}\n`;
     summary += `**Duration:** ${durationStr}\n`;
-    summary += `**Source Directory:** ${this.reportData.sourceDir}\n\n`;
+    summary += `**Language:** ${this.language.displayName} (${this.language.code})\n`;
+    summary += `**Source Directory:** ${this.reportData.sourceDir}\n`;
+    if (this.outputDir) {
+      summary += `**Output Directory:** ${this.targetDir}\n`;
+    }
+    summary += `\n`;
     
     summary += `## Statistics\n\n`;
     summary += `- **Files Processed:** ${this.reportData.filesProcessed}\n`;
     summary += `- **Files Changed:** ${this.reportData.fileChanges.length}\n`;
     summary += `- **Total Replacements:** ${this.reportData.totalReplacements}\n`;
-    summary += `- **Translation Mappings:** ${this.replacements.size}\n\n`;
+    summary += `- **Translation Mappings:** ${this.mappingCount}\n\n`;
     
     if (this.reportData.fileChanges.length > 0) {
       summary += `## Changed Files\n\n`;
@@ -304,6 +486,26 @@ class TextReplacer {
       }
     }
     
+    const overrides = this.reportData.overrides;
+    if (overrides) {
+      summary += `## Overrides\n\n`;
+      summary += `- **Used:** ${overrides.used.length}\n`;
+      summary += `- **Unused:** ${overrides.unused.length}\n`;
+      summary += `- **Stale:** ${overrides.stale.length}\n\n`;
+      
+      if (overrides.stale.length > 0) {
+        summary += `Stale overrides can be removed from \`${overrides.file}\`:\n`;
+        overrides.stale.forEach(entry => {
+          summary += `- \`${entry.source}\`${entry.file ? ` (${entry.file}${entry.line ? `:${entry.line}` : ''})` : ''}\n`;
+        });
+        summary += `\n`;
+      }
+    }
+    
+    if (this.outputDir) {
+      return summary;
+    }
+    
     summary += `## Backup\n\n`;
     summary += `A backup of the original files was created at: \`${this.backupDir}\`\n\n`;
     
@@ -321,14 +523,32 @@ class TextReplacer {
 // Main execution
 async function main() {
   try {
-    const sourceDir = process.argv[2];
+    const args = process.argv.slice(2);
+    const option = name => {
+      const index = args.indexOf(name);
+      return index !== -1 ? args.splice(index, 2)[1] : null;
+    };
+    const langs = option('--lang');
+    const outputDir = option('--out-dir');
+    const sourceDir = args[0];
     if (!sourceDir) {
-      console.error('❌ Usage: node replace-text.js <source-directory>');
+      console.error('❌ Usage: node replace-text.js <source-directory> [--lang zh-CN,ja] [--out-dir <directory>]');
       process.exit(1);
     }
     
-    const replacer = new TextReplacer(sourceDir);
-    await replacer.replaceTexts();
+    const config = TranslatorConfig.load();
+    const languages = getTargetLanguages(config, langs ? { TARGET_LANGUAGES: langs } : process.env);
+    if (languages.length > 1 && !outputDir) {
+      throw new Error(`${languages.length} target languages need --out-dir, one source tree can only hold one language`);
+    }
+    if (outputDir && path.resolve(outputDir).startsWith(path.resolve(sourceDir) + path.sep)) {
+      throw new Error('--out-dir must be outside the source directory');
+    }
+    
+    for (const language of languages) {
+      const replacer = new TextReplacer(sourceDir, config, { language, outputDir });
+      await replacer.replaceTexts();
+    }
     
     console.log('✅ Text replacement completed successfully');
   } catch (error) {
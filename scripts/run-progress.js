@@ -0,0 +1,139 @@
+const fs = require('fs');
+const { writeJsonAtomic } = require('./atomic-file');
+
+const PROGRESS_VERSION = '1.0';
+
+/**
+ * How far a translation run got, checkpointed to translation-progress.json
+ * after every batch:
+ *
+ *   { "status": "interrupted", "signal": "SIGINT", "startedAt": "...",
+ *     "options": { "languages": ["zh-CN", "ja"], "delta": null },
+ *     "languages": { "zh-CN": { "status": "completed", "total": 812, "done": 812, ... } } }
+ *
+ * The translations themselves are in the per-language caches, which are
+ * saved at the same points; this file records the options and counts, so
+ * `--resume` can run the same job again and say what is left.
+ */
+class RunProgress {
+  constructor(filePath, data = null) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * The last run's progress; `data` is null without one.
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new RunProgress(filePath);
+    }
+    
+    try {
+      return new RunProgress(filePath, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable ${filePath}: ${error.message}`);
+      return new RunProgress(filePath);
+    }
+  }
+
+  isUnfinished() {
+    return Boolean(this.data && this.data.status !== 'completed');
+  }
+
+  start(options) {
+    this.data = {
+      version: PROGRESS_VERSION,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      options,
+      languages: {}
+    };
+    this.save();
+  }
+
+  /**
+   * Continue the loaded run with its own options.
+   */
+  resume() {
+    delete this.data.signal;
+    delete this.data.error;
+    this.data.status = 'running';
+    this.data.resumedAt = new Date().toISOString();
+    this.save();
+  }
+
+  isLanguageDone(code) {
+    const language = this.data && this.data.languages[code];
+    return Boolean(language && language.status === 'completed');
+  }
+
+  updateLanguage(code, state) {
+    this.data.languages[code] = { ...this.data.languages[code], ...state };
+  }
+
+  /**
+   * End the run as completed, interrupted, budget (stopped by a cap) or
+   * failed.
+   */
+  finish(status, details = {}) {
+    Object.assign(this.data, { status, ...details });
+    this.save();
+  }
+
+  save() {
+    if (!this.data) {
+      return;
+    }
+    this.data.updatedAt = new Date().toISOString();
+    writeJsonAtomic(this.filePath, this.data);
+  }
+
+  /**
+   * Tokens and cost recorded for all languages so far.
+   */
+  getSpend() {
+    return Object.values(this.data.languages).reduce((spend, language) => ({
+      tokens: spend.tokens + (language.tokens || 0),
+      cost: spend.cost + (language.cost || 0)
+    }), { tokens: 0, cost: 0 });
+  }
+
+  /**
+   * Lines describing the run and what each language has left.
+   */
+  describe() {
+    const reason = this.data.signal ? `interrupted by ${this.data.signal}`
+      : this.data.status === 'budget' ? 'stopped by the budget cap'
+        : this.data.error ? `failed: ${this.data.error}`
+          : this.data.status;
+    const lines = [`Run started ${this.data.startedAt}, last saved ${this.data.updatedAt} (${reason})`];
+    
+    (this.data.options.languages || []).forEach(code => {
+      const language = this.data.languages[code];
+      if (!language) {
+        lines.push(`   - ${code}: not started`);
+        return;
+      }
+      
+      if (language.status === 'completed') {
+        lines.push(`   - ${code}: completed, ${language.done}/${language.total} texts`);
+        return;
+      }
+      const batches = language.batchesTotal ? `, ${language.batchesDone}/${language.batchesTotal} batches` : '';
+      const failed = language.failed ? `, ${language.failed} failed` : '';
+      lines.push(`   - ${code}: ${language.done}/${language.total} texts done, ${language.total - language.done} left${batches}${failed}`);
+    });
+    
+    if (this.data.options.delta) {
+      lines.push(`   - Version delta: ${this.data.options.delta}`);
+    }
+    const { tokens, cost } = this.getSpend();
+    if (tokens > 0) {
+      lines.push(`   - Spent so far: ${tokens} tokens, about $${cost.toFixed(4)}`);
+    }
+    return lines;
+  }
+}
+
+module.exports = RunProgress;
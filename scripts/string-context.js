@@ -0,0 +1,90 @@
+const path = require('path');
+const BatchPlanner = require('./batch-planner');
+
+// Most tokens of context sent with one string
+const MAX_CONTEXT_TOKENS = 80;
+
+// Different uses of a string listed before the rest are only counted
+const MAX_USAGES = 3;
+
+function getOccurrences(item) {
+  return item.occurrences && item.occurrences.length > 0 ? item.occurrences : [item];
+}
+
+/**
+ * "DeleteDialog" for src/components/delete-dialog.vue; scripts have no
+ * component name.
+ */
+function getComponentName(file) {
+  if (!file || path.extname(file) !== '.vue') {
+    return null;
+  }
+  return path.basename(file, '.vue')
+    .split(/[-_.]/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * How an occurrence is used: "title attribute of <button>", "text of
+ * <h1>", "argument of notify()".
+ */
+function describeUsage(occurrence) {
+  if (occurrence.attribute) {
+    return `${occurrence.attribute} attribute of <${occurrence.element}>`;
+  }
+  if (occurrence.element) {
+    return `text of <${occurrence.element}>`;
+  }
+  if (occurrence.call) {
+    return `argument of ${occurrence.call}`;
+  }
+  return occurrence.context || 'unknown';
+}
+
+/**
+ * Where and how a string is used, for the prompt: its file, component, the
+ * ways it is used and the code around its first use. The code shrinks to
+ * the string's line, then goes, then everything but the usage, until it
+ * fits in `maxTokens`; null if nothing fits.
+ */
+function describeContext(item, maxTokens = MAX_CONTEXT_TOKENS) {
+  const occurrences = getOccurrences(item);
+  const first = occurrences[0];
+  const usages = [...new Set(occurrences.map(describeUsage))];
+
+  const context = {};
+  if (first.file) {
+    context.file = first.file;
+  }
+  const component = getComponentName(first.file);
+  if (component) {
+    context.component = component;
+  }
+  context.usage = usages.slice(0, MAX_USAGES).join('; ') +
+    (usages.length > MAX_USAGES ? `; and ${usages.length - MAX_USAGES} more` : '');
+  if (occurrences.length > 1) {
+    context.uses = occurrences.length;
+  }
+
+  const size = value => BatchPlanner.estimateTokens(JSON.stringify(value));
+  const room = maxTokens - size(context);
+  if (room <= 0) {
+    // The usage alone, if even that fits
+    return size({ usage: context.usage }) <= maxTokens ? { usage: context.usage } : null;
+  }
+
+  let code = first.snippet || '';
+  if (code && size(code) > room) {
+    // Only the string's own line when the lines around it don't fit
+    const start = (first.source || item.text).slice(0, 12);
+    code = (code.split('\n').find(line => line.includes(start)) || '').trim();
+  }
+  if (code && size(code) <= room) {
+    context.code = code;
+  }
+  return context;
+}
+
+module.exports = { describeContext, getComponentName, MAX_CONTEXT_TOKENS };
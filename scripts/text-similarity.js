@@ -0,0 +1,39 @@
+/**
+ * Similarity between two strings from 0 (nothing shared) to 1 (identical),
+ * using the Dice coefficient over character bigrams of the lowercased text.
+ * Cheap enough to compare every pair of strings in an extraction.
+ */
+function textSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  const left = a.toLowerCase().replace(/\s+/g, ' ').trim();
+  const right = b.toLowerCase().replace(/\s+/g, ' ').trim();
+  if (left === right) {
+    return 1;
+  }
+  if (left.length < 2 || right.length < 2) {
+    return 0;
+  }
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const bigram = left.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const bigram = right.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (left.length + right.length - 2);
+}
+
+module.exports = { textSimilarity };
@@ -2,17 +2,99 @@
 
 const fs = require('fs');
 const path = require('path');
+const TranslatorConfig = require('./translator-config');
+const TranslationValidator = require('./translation-validator');
+const Glossary = require('./glossary');
+const RateLimiter = require('./rate-limiter');
+const BatchPlanner = require('./batch-planner');
+const { createProvider } = require('./providers');
+const Provider = require('./providers/provider');
+const TranslationCache = require('./translation-cache');
+const TranslationMemory = require('./translation-memory');
+const TranslationOverrides = require('./translation-overrides');
+const TranslationReviewer = require('./translation-reviewer');
+const UsageTracker = require('./usage-tracker');
+const BudgetError = require('./budget-error');
+const RunProgress = require('./run-progress');
+const { writeJsonAtomic } = require('./atomic-file');
+const { getTargetLanguages, resolveLanguage } = require('./languages');
+const { describeContext, MAX_CONTEXT_TOKENS } = require('./string-context');
+
+// Shape of a batch response: one entry per requested id
+const BATCH_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    translations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          translation: { type: 'string' }
+        },
+        required: ['id', 'translation'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['translations'],
+  additionalProperties: false
+};
+
+// How often missing or invalid entries of a batch are re-requested before
+// falling back to one request per string
+const MAX_BATCH_RETRIES = 2;
+
+// Exponential backoff for rate limits, server and network errors
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+
+// Allowance for the glossary, term and problem lines a batch prompt may add
+const PROMPT_EXTRAS_TOKENS = 300;
 
 class AITranslator {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-    this.apiEndpoint = process.env.API_ENDPOINT || 'https://api.openai.com/v1';
-    this.targetLanguage = process.env.TARGET_LANGUAGE || '简体中文';
+  constructor(config = TranslatorConfig.load(), options = {}) {
+    this.config = config;
+    // version-delta.json: translate only the strings it added or changed
+    this.deltaPath = options.delta || null;
+    // One language per translator; main() runs one for each target
+    this.language = options.language || getTargetLanguages(config)[0];
+    this.targetLanguage = this.language.code;
+    // OpenAI, Anthropic, Azure, a local server, an HTTP service or the mock,
+    // chosen by TRANSLATION_PROVIDER or the config file
+    this.provider = options.provider || createProvider(config.provider);
+    this.model = this.provider.model;
+    // Context and output token budget for this model; a maxTokens set for
+    // the provider is the output budget
+    this.planner = BatchPlanner.forModel(this.model, {
+      ...config.batching,
+      ...(config.provider.maxTokens ? { outputTokens: config.provider.maxTokens } : {})
+    });
     
-    if (!this.apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is required');
+    // Parallel requests and per-minute limits; 0 disables a limit
+    this.concurrency = Number(process.env.TRANSLATION_CONCURRENCY || '4');
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      // 0 workers would translate nothing and still report success
+      throw new Error(`TRANSLATION_CONCURRENCY must be a whole number of at least 1, got "${process.env.TRANSLATION_CONCURRENCY}"`);
     }
+    this.maxRetries = parseInt(process.env.MAX_RETRIES || '5', 10);
+    this.limiter = new RateLimiter({
+      concurrency: this.concurrency,
+      requestsPerMinute: parseInt(process.env.REQUESTS_PER_MINUTE || '500', 10),
+      tokensPerMinute: parseInt(process.env.TOKENS_PER_MINUTE || '200000', 10)
+    });
+    
+    // Tokens and cost of every request, shared by all languages of a run
+    // so MAX_BUDGET and MAX_TOKENS_TOTAL cap the whole run
+    this.usage = options.usage || UsageTracker.fromConfig(config.usage);
+    this.budgetExceeded = false;
+    // translation-progress.json of the run, checkpointed with the cache
+    this.progress = options.progress || null;
+    const previous = this.progress && this.progress.data && this.progress.data.languages[this.targetLanguage];
+    // Spent by the runs this one resumes
+    this.previousSpend = { tokens: (previous && previous.tokens) || 0, cost: (previous && previous.cost) || 0 };
+    this.batchesDone = 0;
+    this.batchesTotal = 0;
     
     this.translations = new Map();
     this.translationBatches = [];
@@ -20,108 +102,99 @@ class AITranslator {
     this.totalCount = 0;
     this.cacheHits = 0;
     this.apiCalls = 0;
+    this.validationFailures = 0;
+    this.memoryReuses = 0;
+    this.overridesApplied = 0;
+    this.validator = new TranslationValidator();
+    this.glossary = Glossary.load(config.glossaryPath, this.language);
+    this.overrides = TranslationOverrides.load(config.overridesPath, this.language);
     
-    // Cache configuration
-    this.cacheFile = path.join(process.cwd(), 'translation-cache.json');
-    this.cache = new Map();
+    // Optional second pass that scores translations and re-translates weak ones
+    const reviewProvider = options.reviewProvider !== undefined
+      ? options.reviewProvider
+      : TranslationReviewer.createProvider(config.review, config.provider, this.provider);
+    this.reviewer = reviewProvider
+      ? new TranslationReviewer(reviewProvider, this.language, {
+        ...TranslationReviewer.getOptions(config.review),
+        glossary: this.glossary
+      })
+      : null;
+    this.reviewPlanner = reviewProvider ? BatchPlanner.forModel(reviewProvider.model, config.batching) : null;
+    this.retranslations = 0;
+    
+    // Cache configuration, one file per language
+    this.cacheFile = path.join(process.cwd(), `translation-cache.${this.targetLanguage}.json`);
+    this.legacyCacheFile = path.join(process.cwd(), 'translation-cache.json');
+    this.cache = new TranslationCache(this.cacheFile, this.targetLanguage);
+    // Runs an entry may go unused before it is pruned; 0 keeps everything
+    this.cacheMaxAgeRuns = parseInt(process.env.CACHE_MAX_AGE_RUNS || String(TranslationCache.DEFAULT_MAX_AGE_RUNS), 10);
+    // Originals removed upstream, dropped from every model
+    this.staleTexts = new Set();
+    // Code context sent with each string, trimmed to the batch budget
+    this.contextTokens = MAX_CONTEXT_TOKENS;
+    this.promptContexts = new Map();
     
     // Load existing cache
     this.loadCache();
+    // Near matches among earlier translations, reused or shown as examples
+    this.memory = TranslationMemory.fromCache(this.cache, this.model, config.memory);
+    // Human translations are the phrasing to follow above all
+    this.overrides.entries
+      .filter(entry => !entry.file)
+      .forEach(entry => this.memory.add(entry.source, entry.translation));
   }
 
   loadCache() {
     try {
-      if (fs.existsSync(this.cacheFile)) {
-        const cacheData = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
-        
-        // Validate cache structure
-        if (cacheData.version && cacheData.cache && typeof cacheData.cache === 'object') {
-          // Load cache entries with model and language matching
-          Object.entries(cacheData.cache).forEach(([key, entry]) => {
-            // Only load cache entries that match current model and target language
-            if (entry.model === this.model && entry.targetLanguage === this.targetLanguage) {
-              this.cache.set(key, entry);
-            }
-          });
-          
-          console.log(`📋 Loaded ${this.cache.size} cached translations (model: ${this.model}, language: ${this.targetLanguage})`);
-        } else {
-          console.log(`🔄 Cache file format outdated, starting fresh`);
-        }
+      this.cache.load({ legacyPath: this.legacyCacheFile });
+      this.cache.startRun();
+      
+      if (this.cache.entries.size > 0) {
+        console.log(`📋 Loaded ${this.cache.entries.size} cached translations (language: ${this.targetLanguage})`);
       } else {
         console.log(`📝 No translation cache found, starting fresh`);
       }
     } catch (error) {
       console.warn(`⚠️  Error loading cache: ${error.message}`);
-      this.cache.clear();
+      this.cache.entries.clear();
     }
   }
 
-  saveCache() {
+  /**
+   * Write the cache. After a complete run, this model's entries that no run
+   * has used in CACHE_MAX_AGE_RUNS runs are pruned first.
+   */
+  saveCache({ prune = false } = {}) {
     try {
-      // Load existing cache file to preserve other model/language combinations
-      let existingCache = {};
-      if (fs.existsSync(this.cacheFile)) {
-        try {
-          const cacheData = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
-          if (cacheData.cache) {
-            existingCache = cacheData.cache;
-          }
-        } catch (error) {
-          console.warn(`⚠️  Error reading existing cache: ${error.message}`);
-        }
-      }
-      
-      // Add current cache entries
-      this.cache.forEach((entry, key) => {
-        existingCache[key] = entry;
-      });
-      
-      const cacheData = {
-        version: '1.0',
-        lastUpdated: new Date().toISOString(),
-        cache: existingCache
-      };
+      const pruned = prune && this.cacheMaxAgeRuns > 0
+        ? this.cache.prune({ maxAgeRuns: this.cacheMaxAgeRuns, model: this.model })
+        : 0;
       
-      fs.writeFileSync(this.cacheFile, JSON.stringify(cacheData, null, 2));
-      console.log(`💾 Translation cache saved: ${this.cache.size} entries`);
+      this.cache.save();
+      console.log(`💾 Translation cache saved: ${this.cache.entries.size} entries${pruned > 0 ? ` (${pruned} unused entries pruned)` : ''}`);
     } catch (error) {
       console.warn(`⚠️  Error saving cache: ${error.message}`);
     }
   }
 
-  getCacheKey(text, context = '') {
-    // Create a cache key that includes text, model, target language, and context
-    return `${text}|${this.model}|${this.targetLanguage}|${context}`;
-  }
-
-  getCachedTranslation(text, context = '') {
-    const key = this.getCacheKey(text, context);
-    const cached = this.cache.get(key);
+  getCachedTranslation(text) {
+    const cached = this.cache.get(text.text, this.model);
     
-    if (cached && cached.translated) {
+    if (cached) {
       this.cacheHits++;
-      return cached.translated;
     }
     
-    return null;
+    return cached;
   }
 
-  setCachedTranslation(text, translated, context = '') {
-    const key = this.getCacheKey(text, context);
-    this.cache.set(key, {
-      original: text,
-      translated,
-      context,
-      model: this.model,
-      targetLanguage: this.targetLanguage,
-      createdAt: new Date().toISOString()
-    });
+  setCachedTranslation(text, translated) {
+    this.cache.set(text.text, translated, this.model);
+    this.memory.add(text.text, translated);
   }
 
   async translateTexts() {
-    console.log(`🤖 Starting AI translation with ${this.model}`);
-    console.log(`🎯 Target language: ${this.targetLanguage}`);
+    console.log(`🤖 Starting AI translation with ${this.model} (${this.provider.name})`);
+    console.log(`🎯 Target language: ${this.language.displayName} (${this.targetLanguage})`);
     
     // Load extracted texts
     const extractedPath = path.join(process.cwd(), 'extracted-text.json');
@@ -130,26 +203,44 @@ class AITranslator {
     }
     
     const extractedData = JSON.parse(fs.readFileSync(extractedPath, 'utf8'));
-    const texts = extractedData.texts || [];
+    let texts = extractedData.texts || [];
+    
+    if (this.deltaPath) {
+      texts = this.applyDelta(texts);
+    }
     
     if (texts.length === 0) {
       console.log('ℹ️  No texts found to translate');
+      if (this.staleTexts.size > 0) {
+        this.saveCache();
+      }
       return;
     }
     
     console.log(`📝 Found ${texts.length} texts to translate`);
     this.totalCount = texts.length;
     
+    // Overrides win over the cache and the model
+    texts = this.applyOverrides(texts);
+    
     // Check cache for existing translations
-    const { cachedTexts, uncachedTexts } = this.separateCachedTexts(texts);
+    const separated = this.separateCachedTexts(texts);
+    const cachedTexts = separated.cachedTexts;
+    const uncachedTexts = this.reuseFromMemory(separated.uncachedTexts);
     
     console.log(`📋 Cache status:`);
+    if (this.overridesApplied > 0) {
+      console.log(`   - Locked by overrides: ${this.overridesApplied} texts`);
+    }
     console.log(`   - Cached: ${cachedTexts.length} texts`);
+    if (this.memoryReuses > 0) {
+      console.log(`   - Reused from near matches: ${this.memoryReuses} texts`);
+    }
     console.log(`   - Need translation: ${uncachedTexts.length} texts`);
     
     // Process cached texts
     cachedTexts.forEach(text => {
-      const cached = this.getCachedTranslation(text.text, text.context);
+      const cached = this.getCachedTranslation(text);
       this.translations.set(text.text, {
         original: text.text,
         translated: cached,
@@ -163,33 +254,149 @@ class AITranslator {
     // Only translate uncached texts
     if (uncachedTexts.length > 0) {
       // Group uncached texts into batches for efficient translation
-      const batches = this.createBatches(uncachedTexts, 10); // 10 texts per batch
+      const batches = this.createBatches(uncachedTexts);
+      this.batchesTotal = batches.length;
       
       console.log(`📦 Created ${batches.length} translation batches for uncached texts`);
+      console.log(`   - Budget: ${this.planner.getInputBudget()} input / ${this.planner.outputTokens} output tokens, up to ${this.planner.maxTexts} texts per batch`);
       
-      // Translate each batch
-      for (let i = 0; i < batches.length; i++) {
-        console.log(`🔄 Processing batch ${i + 1}/${batches.length}...`);
-        await this.translateBatch(batches[i], i);
-        
-        // Add delay to respect rate limits
-        if (i < batches.length - 1) {
-          await this.delay(1000); // 1 second delay between batches
+      // Translate batches in parallel; the rate limiter paces the requests
+      let nextBatch = 0;
+      const worker = async () => {
+        while (nextBatch < batches.length) {
+          const i = nextBatch++;
+          console.log(`🔄 Processing batch ${i + 1}/${batches.length}...`);
+          await this.translateBatch(batches[i], i);
+          this.batchesDone++;
+          // Nothing paid for is lost if the run dies after this
+          this.checkpoint();
         }
+      };
+      
+      try {
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, batches.length) }, worker));
+      } catch (error) {
+        await this.stopAfterError(error, extractedData);
       }
     } else {
-      console.log(`🎉 All texts found in cache, no API calls needed!`);
+      console.log(`🎉 All texts found in cache${this.overridesApplied > 0 ? ' or overrides' : ''}, no API calls needed!`);
+    }
+    
+    if (this.reviewer) {
+      try {
+        await this.reviewTranslations(texts);
+      } catch (error) {
+        await this.stopAfterError(error, extractedData);
+      }
     }
     
     // Save updated cache
-    this.saveCache();
+    this.saveCache({ prune: true });
     
     // Save translations
     await this.saveTranslations(extractedData);
+    this.checkpoint('completed');
     
     console.log(`✅ Translation completed: ${this.processedCount}/${this.totalCount} texts`);
     console.log(`📊 Cache efficiency: ${this.cacheHits}/${this.totalCount} hits (${Math.round(this.cacheHits/this.totalCount*100)}%)`);
     console.log(`🔌 API calls made: ${this.apiCalls}`);
+    this.logUsage();
+  }
+
+  /**
+   * Keep what was translated before a fatal error. When the budget ran
+   * out, the translations so far are written too, so the run can be
+   * continued or used as it is. Always rethrows.
+   */
+  async stopAfterError(error, extractedData) {
+    this.saveCache();
+    this.checkpoint(error.budgetExceeded ? 'budget' : 'failed');
+    if (error.budgetExceeded) {
+      this.budgetExceeded = true;
+      console.warn(`🛑 ${error.message}, stopping with ${this.processedCount}/${this.totalCount} texts done`);
+      await this.saveTranslations(extractedData);
+      this.logUsage();
+    }
+    throw error;
+  }
+
+  /**
+   * Save the cache and this language's progress, both atomically. Called
+   * after every batch and when the run stops, including on SIGINT/SIGTERM.
+   */
+  checkpoint(status = 'running') {
+    try {
+      this.cache.save();
+    } catch (error) {
+      console.warn(`⚠️  Error saving cache: ${error.message}`);
+    }
+    
+    if (!this.progress || !this.progress.data) {
+      return;
+    }
+    
+    const usage = this.usage.getTotals({ language: this.targetLanguage });
+    const failed = [...this.translations.values()].filter(value => value.error || value.validationErrors).length;
+    this.progress.updateLanguage(this.targetLanguage, {
+      status,
+      total: this.totalCount,
+      done: this.processedCount - failed,
+      failed,
+      batchesDone: this.batchesDone,
+      batchesTotal: this.batchesTotal,
+      tokens: this.previousSpend.tokens + usage.totalTokens,
+      cost: this.previousSpend.cost + usage.cost
+    });
+    this.progress.save();
+  }
+
+  logUsage() {
+    const usage = this.usage.getTotals({ language: this.targetLanguage });
+    if (usage.requests === 0) {
+      return;
+    }
+    
+    const estimated = usage.estimatedRequests > 0 ? `, ${usage.estimatedRequests} requests estimated` : '';
+    console.log(`💰 Tokens used: ${usage.inputTokens} input / ${usage.outputTokens} output, about $${usage.cost.toFixed(4)}${estimated}`);
+    Object.entries(usage.stages).forEach(([stage, total]) => {
+      console.log(`   - ${stage}: ${total.requests} requests, ${total.inputTokens + total.outputTokens} tokens, $${total.cost.toFixed(4)}`);
+    });
+  }
+
+  /**
+   * Restrict a run to a version delta: strings the delta added or changed are
+   * translated, other strings only come from the cache, and cache entries
+   * for strings removed upstream are dropped.
+   */
+  applyDelta(texts) {
+    if (!fs.existsSync(this.deltaPath)) {
+      throw new Error(`Delta report not found: ${this.deltaPath}. Run version-delta.js first.`);
+    }
+    
+    const delta = JSON.parse(fs.readFileSync(this.deltaPath, 'utf8'));
+    const current = new Set(texts.map(text => text.text));
+    const deltaTexts = new Set([
+      ...(delta.added || []).map(item => item.text),
+      ...(delta.changed || []).map(change => change.to)
+    ]);
+    
+    // A string can be removed from one tag and still be extracted here
+    [...(delta.removed || []).map(item => item.text), ...(delta.changed || []).map(change => change.from)]
+      .filter(text => !current.has(text))
+      .forEach(text => this.staleTexts.add(text));
+    
+    this.cache.removeOriginals(this.staleTexts);
+    
+    const selected = texts.filter(text =>
+      deltaTexts.has(text.text) || this.cache.has(text.text, this.model)
+    );
+    
+    console.log(`🔀 Version delta: ${deltaTexts.size} added or changed texts, ${this.staleTexts.size} stale texts dropped from cache`);
+    if (selected.length < texts.length) {
+      console.log(`   - Skipped ${texts.length - selected.length} uncached texts outside the delta`);
+    }
+    
+    return selected;
   }
 
   separateCachedTexts(texts) {
@@ -197,8 +404,9 @@ class AITranslator {
     const uncachedTexts = [];
     
     texts.forEach(text => {
-      const cached = this.getCachedTranslation(text.text, text.context);
-      if (cached) {
+      const cached = this.getCachedTranslation(text);
+      // Entries cached before validation existed may have lost a placeholder
+      if (cached && this.validator.validate(text.text, cached).length === 0) {
         cachedTexts.push(text);
       } else {
         uncachedTexts.push(text);
@@ -208,49 +416,173 @@ class AITranslator {
     return { cachedTexts, uncachedTexts };
   }
 
-  createBatches(texts, batchSize) {
-    const batches = [];
-    for (let i = 0; i < texts.length; i += batchSize) {
-      batches.push(texts.slice(i, i + batchSize));
+  /**
+   * Lock texts that have an override for every location, so they never go
+   * to the API. Texts whose overrides only cover some files are still
+   * translated for the rest; the replacer applies the file overrides.
+   * Returns the texts still to do.
+   */
+  applyOverrides(texts) {
+    return texts.filter(text => {
+      const override = this.overrides.resolve(text.text);
+      if (!override) {
+        return true;
+      }
+      
+      const validationErrors = this.validator.validate(text.text, override.translation);
+      if (validationErrors.length > 0) {
+        // A person wrote it, so it is used anyway
+        console.warn(`   ⚠️  Override for "${text.text.substring(0, 50)}" may be broken: ${validationErrors.join('; ')}`);
+      }
+      
+      this.translations.set(text.text, {
+        original: text.text,
+        translated: override.translation,
+        context: text.context,
+        files: text.files || [text.file],
+        fromCache: false,
+        locked: true
+      });
+      this.overridesApplied++;
+      this.processedCount++;
+      return false;
+    });
+  }
+
+  /**
+   * Take translations for strings that differ from an earlier one only in
+   * case, spacing or closing punctuation. Returns the texts still to do.
+   */
+  reuseFromMemory(texts) {
+    return texts.filter(text => {
+      const match = this.memory.findReusable(text.text);
+      if (!match || this.validator.validate(text.text, match.translated).length > 0) {
+        return true;
+      }
+      
+      this.setCachedTranslation(text, match.translated);
+      this.translations.set(text.text, {
+        original: text.text,
+        translated: match.translated,
+        context: text.context,
+        files: text.files || [text.file],
+        fromCache: false,
+        memoryMatch: match.original
+      });
+      this.memoryReuses++;
+      this.processedCount++;
+      return false;
+    });
+  }
+
+  createBatches(texts) {
+    // Room for the instructions plus a glossary and term list of some length
+    this.planner.promptTokens = BatchPlanner.estimateTokens(this.createBatchPrompt([])) + PROMPT_EXTRAS_TOKENS;
+    // Small context windows get less code per string, never more than half
+    // of a string's share of the budget
+    this.contextTokens = Math.min(MAX_CONTEXT_TOKENS, Math.floor(this.planner.getInputBudgetPerText() / 2));
+    this.promptContexts.clear();
+    return this.planner.createBatches(texts, text => {
+      const context = this.getPromptContext(text);
+      return context ? BatchPlanner.estimateTokens(JSON.stringify(context)) : 0;
+    });
+  }
+
+  /**
+   * File, component, usage and surrounding code of a string, as sent in
+   * the prompt.
+   */
+  getPromptContext(text) {
+    if (!this.promptContexts.has(text.text)) {
+      this.promptContexts.set(text.text, describeContext(text, this.contextTokens));
     }
-    return batches;
+    return this.promptContexts.get(text.text);
   }
 
   async translateBatch(batch, batchIndex) {
-    const prompt = this.createBatchPrompt(batch);
+    let pending = batch;
+    // Validation errors of the last answer, sent back as a hint on retry
+    const problems = new Map();
     
-    try {
-      const response = await this.callOpenAI(prompt);
-      this.apiCalls++; // Count API call
-      const translations = this.parseBatchResponse(response, batch);
+    for (let attempt = 0; attempt <= MAX_BATCH_RETRIES && pending.length > 0; attempt++) {
+      if (attempt > 0) {
+        console.log(`   🔁 Re-requesting ${pending.length} missing or invalid entries (attempt ${attempt + 1})`);
+      }
       
-      // Store translations and cache them
-      for (let i = 0; i < batch.length; i++) {
-        const originalText = batch[i];
-        const translatedText = translations[i] || originalText.text; // Fallback to original
-        
-        // Save to cache
-        this.setCachedTranslation(originalText.text, translatedText, originalText.context);
+      try {
+        const response = await this.requestWithRetry(
+          this.createBatchPrompt(pending, problems),
+          BATCH_RESPONSE_SCHEMA,
+          this.toBatchItems(pending),
+          { stage: attempt > 0 ? 'retry' : 'batch' }
+        );
+        this.apiCalls++; // Count API call
+        const { translations, errors } = this.parseBatchResponse(response, pending);
+        errors.forEach(error => console.warn(`   ⚠️  ${error}`));
         
-        // Store in current translations
-        this.translations.set(originalText.text, {
-          original: originalText.text,
-          translated: translatedText,
-          context: originalText.context,
-          files: originalText.files || [originalText.file],
-          fromCache: false
+        // Store translations and cache them; ids are positions in this request
+        pending.forEach((originalText, i) => {
+          const translatedText = translations.get(String(i + 1));
+          if (translatedText === undefined) {
+            return;
+          }
+          
+          const validationErrors = this.validator.validate(originalText.text, translatedText);
+          if (validationErrors.length > 0) {
+            console.warn(`   ⚠️  Invalid translation of "${originalText.text.substring(0, 50)}": ${validationErrors.join('; ')}`);
+            problems.set(originalText, validationErrors);
+            return;
+          }
+          problems.delete(originalText);
+          
+          this.setCachedTranslation(originalText, translatedText);
+          this.translations.set(originalText.text, {
+            original: originalText.text,
+            translated: translatedText,
+            context: originalText.context,
+            files: originalText.files || [originalText.file],
+            fromCache: false
+          });
+          this.processedCount++;
         });
         
-        this.processedCount++;
+        pending = pending.filter(originalText => !this.translations.has(originalText.text));
+      } catch (error) {
+        if (error.truncated && pending.length > 1) {
+          // The answer didn't fit max_tokens; halves will
+          const half = Math.ceil(pending.length / 2);
+          console.warn(`   ✂️  Batch ${batchIndex + 1} was cut off, splitting ${pending.length} texts into ${half} + ${pending.length - half}`);
+          await this.translateBatch(pending.slice(0, half), batchIndex);
+          await this.translateBatch(pending.slice(half), batchIndex);
+          return;
+        }
+        console.error(`   ❌ Batch ${batchIndex + 1} failed: ${error.message}`);
+        if (error.fatal) {
+          throw error;
+        }
+        if (error.retryable || error.status) {
+          // Still rate limited or down after backing off, or a permanent
+          // 4xx the API would give every string as well; one request per
+          // string would only add load
+          pending.forEach(originalText => this.markFailed(originalText));
+          console.warn(`   ⚠️  ${pending.length} texts of batch ${batchIndex + 1} left untranslated`);
+          return;
+        }
+        break;
       }
-      
+    }
+    
+    // Translations that kept failing validation fall back to the original
+    pending
+      .filter(originalText => problems.has(originalText))
+      .forEach(originalText => this.rejectTranslation(originalText, problems.get(originalText)));
+    pending = pending.filter(originalText => !problems.has(originalText));
+    
+    if (pending.length > 0) {
+      // Fallback: try individual translations for what is still missing
+      await this.translateBatchIndividually(pending);
+    } else {
       console.log(`   ✓ Batch ${batchIndex + 1} completed (${batch.length} texts)`);
-      
-    } catch (error) {
-      console.error(`   ❌ Batch ${batchIndex + 1} failed: ${error.message}`);
-      
-      // Fallback: try individual translations for this batch
-      await this.translateBatchIndividually(batch);
     }
   }
 
@@ -260,16 +592,22 @@ class AITranslator {
     for (const text of batch) {
       try {
         // Check cache first
-        let translated = this.getCachedTranslation(text.text, text.context);
+        let translated = this.getCachedTranslation(text);
         let fromCache = true;
         
         if (!translated) {
-          translated = await this.translateSingle(text.text);
+          translated = await this.translateSingle(text);
           this.apiCalls++; // Count API call
           fromCache = false;
           
+          const validationErrors = this.validator.validate(text.text, translated);
+          if (validationErrors.length > 0) {
+            this.rejectTranslation(text, validationErrors);
+            continue;
+          }
+          
           // Save to cache
-          this.setCachedTranslation(text.text, translated, text.context);
+          this.setCachedTranslation(text, translated);
         }
         
         this.translations.set(text.text, {
@@ -280,35 +618,241 @@ class AITranslator {
           fromCache
         });
         this.processedCount++;
-        
-        // Delay between individual requests (only for API calls)
-        if (!fromCache) {
-          await this.delay(500);
-        }
-        
       } catch (error) {
+        if (error.fatal) {
+          throw error;
+        }
         console.warn(`   ⚠️  Failed to translate: "${text.text.substring(0, 50)}..."`);
+        this.markFailed(text);
+      }
+    }
+  }
+
+  markFailed(text) {
+    // Store original text as fallback
+    this.translations.set(text.text, {
+      original: text.text,
+      translated: text.text,
+      context: text.context,
+      files: text.files || [text.file],
+      error: true,
+      fromCache: false
+    });
+    this.processedCount++;
+  }
+
+  /**
+   * Keep the original text for a translation that broke placeholders or
+   * markup, and record why in translations.json. Not cached, so the next
+   * run tries again.
+   */
+  rejectTranslation(text, validationErrors) {
+    console.warn(`   ⚠️  Keeping original for "${text.text.substring(0, 50)}": ${validationErrors.join('; ')}`);
+    
+    this.translations.set(text.text, {
+      original: text.text,
+      translated: text.text,
+      context: text.context,
+      files: text.files || [text.file],
+      validationErrors,
+      fromCache: false
+    });
+    this.validationFailures++;
+    this.processedCount++;
+  }
+
+  /**
+   * Have the reviewer score every translation it hasn't scored before, and
+   * re-translate those under the threshold with its comments, reviewing
+   * the new translations again. Scores are kept in the cache, so unchanged
+   * translations are only reviewed once per reviewer model. Human
+   * overrides are never reviewed or replaced.
+   */
+  async reviewTranslations(texts) {
+    let candidates = texts.filter(text => {
+      const value = this.translations.get(text.text);
+      if (!value || value.locked || value.error || value.validationErrors || value.translated === value.original) {
+        return false;
+      }
+      
+      const entry = value.fromCache && this.cache.findEntry(text.text, this.model);
+      if (entry && entry.review && entry.review.model === this.reviewer.model) {
+        value.review = entry.review;
+        return false;
+      }
+      return true;
+    });
+    
+    if (candidates.length === 0) {
+      console.log(`🧐 All translations already reviewed by ${this.reviewer.model}`);
+      return;
+    }
+    
+    for (let round = 0; candidates.length > 0; round++) {
+      console.log(`🧐 Reviewing ${candidates.length} translations with ${this.reviewer.model}...`);
+      const reviews = await this.requestReviews(candidates);
+      
+      reviews.forEach((review, text) => {
+        this.translations.get(text.text).review = review;
+        const entry = this.cache.findEntry(text.text, this.model);
+        if (entry) {
+          entry.review = review;
+        }
+      });
+      this.checkpoint();
+      
+      const weak = candidates.filter(text => reviews.has(text) && this.reviewer.isBelowThreshold(reviews.get(text)));
+      if (weak.length === 0 || round >= this.reviewer.rounds) {
+        break;
+      }
+      
+      console.log(`🔁 Re-translating ${weak.length} translations scored below ${this.reviewer.threshold}`);
+      candidates = await this.retranslate(weak, reviews);
+      this.checkpoint();
+    }
+  }
+
+  /**
+   * Reviews of the texts' current translations, keyed by text. Texts whose
+   * review failed are left out.
+   */
+  async requestReviews(texts) {
+    this.reviewPlanner.promptTokens = BatchPlanner.estimateTokens(this.reviewer.createPrompt([])) + PROMPT_EXTRAS_TOKENS;
+    const entries = texts.map(text => ({
+      ...text,
+      translated: this.translations.get(text.text).translated,
+      context: this.getPromptContext(text)
+    }));
+    const batches = this.reviewPlanner.createBatches(entries, entry =>
+      BatchPlanner.estimateTokens(entry.translated) +
+      (entry.context ? BatchPlanner.estimateTokens(JSON.stringify(entry.context)) : 0)
+    );
+    
+    const reviews = new Map();
+    await Promise.all(batches.map(batch => this.reviewBatch(batch, reviews)));
+    // Back to the extracted texts, which the callers hold
+    return new Map(texts
+      .filter(text => reviews.has(text.text))
+      .map(text => [text, reviews.get(text.text)]));
+  }
+
+  async reviewBatch(batch, reviews) {
+    try {
+      const response = await this.requestWithRetry(this.reviewer.createPrompt(batch), this.reviewer.schema, [], {
+        provider: this.reviewer.provider,
+        system: TranslationReviewer.SYSTEM_PROMPT,
+        maxTokens: this.reviewPlanner.outputTokens,
+        stage: 'review'
+      });
+      this.apiCalls++;
+      const parsed = this.reviewer.parseResponse(response, batch);
+      parsed.errors.forEach(error => console.warn(`   ⚠️  ${error}`));
+      parsed.reviews.forEach((review, id) => reviews.set(batch[Number(id) - 1].text, review));
+    } catch (error) {
+      if (error.truncated && batch.length > 1) {
+        const half = Math.ceil(batch.length / 2);
+        await this.reviewBatch(batch.slice(0, half), reviews);
+        await this.reviewBatch(batch.slice(half), reviews);
+        return;
+      }
+      if (error.fatal) {
+        throw error;
+      }
+      // Unreviewed translations are kept as they are
+      console.warn(`   ⚠️  Review of ${batch.length} translations failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Translate weak texts again with the reviewer's comments as the problem
+   * to fix. A new translation replaces the old one only if it passes
+   * validation; returns the texts that got one.
+   */
+  async retranslate(texts, reviews) {
+    const changed = [];
+    
+    for (const batch of this.createBatches(texts)) {
+      const problems = new Map(batch.map(text => [
+        text,
+        [this.reviewer.describeProblem(reviews.get(text), this.translations.get(text.text).translated)]
+      ]));
+      
+      try {
+        const response = await this.requestWithRetry(
+          this.createBatchPrompt(batch, problems),
+          BATCH_RESPONSE_SCHEMA,
+          this.toBatchItems(batch),
+          { stage: 'retranslate' }
+        );
+        this.apiCalls++;
+        const { translations, errors } = this.parseBatchResponse(response, batch);
+        errors.forEach(error => console.warn(`   ⚠️  ${error}`));
         
-        // Store original text as fallback
-        this.translations.set(text.text, {
-          original: text.text,
-          translated: text.text,
-          context: text.context,
-          files: text.files || [text.file],
-          error: true,
-          fromCache: false
+        batch.forEach((text, i) => {
+          const translated = translations.get(String(i + 1));
+          const value = this.translations.get(text.text);
+          if (translated === undefined || translated === value.translated ||
+              this.validator.validate(text.text, translated).length > 0) {
+            return;
+          }
+          
+          this.setCachedTranslation(text, translated);
+          this.translations.set(text.text, {
+            ...value,
+            translated,
+            previousTranslation: value.translated,
+            previousReview: value.review,
+            review: undefined,
+            fromCache: false
+          });
+          this.retranslations++;
+          changed.push(text);
         });
-        this.processedCount++;
+      } catch (error) {
+        if (error.fatal) {
+          throw error;
+        }
+        console.warn(`   ⚠️  Re-translation of ${batch.length} texts failed, keeping the reviewed translations: ${error.message}`);
       }
     }
+    
+    return changed;
   }
 
-  createBatchPrompt(batch) {
-    const textList = batch.map((item, index) => 
-      `${index + 1}. "${item.text}"`
-    ).join('\n');
+  createBatchPrompt(batch, problems = new Map()) {
+    const textList = JSON.stringify(
+      this.toBatchItems(batch).map((entry, index) => ({
+        ...entry,
+        ...(this.getPromptContext(batch[index]) ? { context: this.getPromptContext(batch[index]) } : {}),
+        ...(problems.has(batch[index]) ? { problem: problems.get(batch[index]).join('; ') } : {})
+      })),
+      null,
+      2
+    );
+    
+    const glossaryEntries = this.glossary.findRelevant(batch.map(item => item.text));
+    const glossaryLines = glossaryEntries.length > 0
+      ? `\n- Use this terminology exactly:\n${this.glossary.describe(glossaryEntries).join('\n')}`
+      : '';
+    
+    const problemsLine = batch.some(item => problems.has(item))
+      ? '\n- Entries with a "problem" were translated before and rejected for that reason; fix it this time'
+      : '';
     
-    return `You are a professional software localization expert. Translate the following UI text strings from English to ${this.targetLanguage}.
+    // Batches are grouped by file, so this is usually one component
+    const files = [...new Set(batch.map(item => BatchPlanner.getFile(item)).filter(Boolean))];
+    const filesLine = files.length > 0
+      ? `\nThey come from: ${files.join(', ')}`
+      : '';
+    
+    const terms = this.findTechnicalTerms(batch);
+    const termsLine = terms.length > 0
+      ? `\n- Keep these technical terms unchanged: ${terms.join(', ')}`
+      : '';
+    
+    const examplesLine = this.describeExamples(batch.map(item => item.text));
+    
+    return `You are a professional software localization expert. Translate the following UI text strings from English to ${this.language.displayName}.
 
 CRITICAL INSTRUCTIONS - READ CAREFULLY:
 - ONLY translate genuine user interface text (buttons, messages, labels, tooltips)
@@ -321,116 +865,258 @@ CRITICAL INSTRUCTIONS - READ CAREFULLY:
   * Import statements or module names
   * Configuration keys or API endpoints
 - Preserve placeholders, variables, and special formatting (like {}, [], etc.)
+- Keep placeholders like {count} and numbered tags like <0>here</0> exactly as written; move them wherever the word order of ${this.language.name} needs them
 - Keep technical terms and proper nouns in English when appropriate
-- Make translations natural and user-friendly for ${this.targetLanguage} speakers
+- Make translations natural and user-friendly for ${this.language.name} speakers
 - If uncertain whether text is UI-related, DO NOT translate it - return original text
+- Each entry's "context" tells where and how the string is used, with the code around it; let it decide the meaning of ambiguous words (a "Play" button starts something, a "Play" tab title names a section). Never translate the context itself${termsLine}${glossaryLines}${examplesLine}${problemsLine}
 
 WHEN IN DOUBT: If text looks technical or code-related, keep it unchanged!
 
-Context: These are extracted from a Vue.js desktop application. Only user-facing text should be translated.
+Context: These are extracted from a Vue.js desktop application. Only user-facing text should be translated.${filesLine}
 
-Text strings to translate:
+Text strings to translate (JSON, each with an id and, where known, its context):
 ${textList}
 
-Please respond with ONLY the translated strings in the same numbered format. Use original text if unsure:
-1. [translated text 1]
-2. [translated text 2]
-...
+Please respond with ONLY a JSON object containing one entry for every id, with the same id. Use original text if unsure:
+{"translations": [{"id": "1", "translation": "[translated text 1]"}, {"id": "2", "translation": "[translated text 2]"}]}
 
 Do not include any explanation or additional text.`;
   }
 
-  async translateSingle(text) {
-    const prompt = `Translate this UI text from English to ${this.targetLanguage}. 
+  toBatchItems(batch) {
+    // Ids are positions in the request, matched back by parseBatchResponse
+    return batch.map((item, index) => ({ id: String(index + 1), text: item.text }));
+  }
+
+  findTechnicalTerms(batch) {
+    // Only the project's configured terms that actually appear in this batch
+    return this.config.projectTerms.filter(term => {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const regex = new RegExp(`(^|[^\\w-])${escaped}($|[^\\w-])`, 'i');
+      return batch.some(item => regex.test(item.text));
+    });
+  }
+
+  /**
+   * Prompt lines with the closest earlier translations, so new strings
+   * follow phrasing that was already accepted.
+   */
+  describeExamples(texts) {
+    const examples = this.memory.findExamples(texts);
+    if (examples.length === 0) {
+      return '';
+    }
+    
+    const lines = examples.map(example => `  * ${JSON.stringify(example.original)} → ${JSON.stringify(example.translated)}`);
+    return `\n- Stay consistent with these earlier translations of similar strings:\n${lines.join('\n')}`;
+  }
+
+  async translateSingle(item) {
+    const text = item.text;
+    const context = this.getPromptContext(item);
+    const contextLine = context
+      ? `\nUsed in: ${JSON.stringify(context)}\n`
+      : '';
+    const prompt = `Translate this UI text from English to ${this.language.displayName}. 
 
 CRITICAL: Only translate if this is genuine user interface text (buttons, messages, labels). 
 DO NOT translate if it looks like: package names, file paths, function names, CSS classes, or any technical identifiers.
-WHEN IN DOUBT: Return the original text unchanged.
+WHEN IN DOUBT: Return the original text unchanged.${this.describeExamples([text])}
 
 Text: "${text}"
-
+${contextLine}
 Translation:`;
 
-    const response = await this.callOpenAI(prompt);
+    const response = await this.requestWithRetry(prompt, null, [{ id: '1', text }], { stage: 'individual' });
     return response.trim().replace(/^["']|["']$/g, ''); // Remove surrounding quotes
   }
 
-  async callOpenAI(prompt) {
-    const response = await fetch(`${this.apiEndpoint}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a professional software localization expert. Provide accurate, contextual translations for UI strings.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 2000
-      })
-    });
+  /**
+   * Send a request through the rate limiter, backing off and retrying on
+   * rate limits, server and network errors. Other errors are thrown at once.
+   */
+  async requestWithRetry(prompt, schema = null, items = [], {
+    provider = this.provider,
+    system = Provider.SYSTEM_PROMPT,
+    maxTokens = this.planner.outputTokens,
+    stage = 'batch'
+  } = {}) {
+    // Rough estimate: about as much output as input
+    const inputTokens = BatchPlanner.estimateTokens(system) + BatchPlanner.estimateTokens(prompt);
+    const tokens = inputTokens * 2;
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    for (let attempt = 0; ; attempt++) {
+      // Throws a BudgetError when this request would pass a cap
+      const reservation = this.usage.reserve(provider.model, inputTokens, inputTokens);
+      let usage = null;
+      try {
+        const response = await this.limiter.schedule(() => provider.complete({
+          system,
+          prompt,
+          schema,
+          items,
+          targetLanguage: this.targetLanguage,
+          maxTokens,
+          onUsage: reported => { usage = reported; }
+        }), tokens);
+        this.recordUsage(stage, provider.model, usage || {
+          inputTokens,
+          outputTokens: BatchPlanner.estimateTokens(response || ''),
+          estimated: true
+        });
+        return response;
+      } catch (error) {
+        // A truncated answer was still paid for
+        if (usage) {
+          this.recordUsage(stage, provider.model, usage);
+        }
+        if (!error.retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+        
+        const wait = error.retryAfter ?? this.getBackoffDelay(attempt);
+        if (error.status === 429) {
+          // Every request would hit the same limit, so hold them all
+          this.limiter.pause(wait);
+        }
+        console.warn(`   ⏳ ${error.message}; retrying in ${(wait / 1000).toFixed(1)}s (attempt ${attempt + 2}/${this.maxRetries + 1})`);
+        await this.delay(wait);
+      } finally {
+        this.usage.release(reservation);
+      }
+    }
+  }
+
+  recordUsage(stage, model, usage) {
+    this.usage.record({ language: this.targetLanguage, stage, model, ...usage });
+  }
+
+  getBackoffDelay(attempt) {
+    // Exponential with jitter, so parallel requests don't retry in lockstep
+    const cap = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.round(cap / 2 + Math.random() * cap / 2);
+  }
+
+  /**
+   * Match a JSON batch response to the batch by id. Returns the valid
+   * translations keyed by id and a description of every entry that was
+   * missing, unknown, duplicated or malformed, so only those are retried.
+   */
+  parseBatchResponse(response, originalBatch) {
+    const translations = new Map();
+    const errors = [];
+    
+    let data;
+    try {
+      // Tolerate code fences or commentary around the JSON object
+      const start = response.indexOf('{');
+      const end = response.lastIndexOf('}');
+      data = JSON.parse(start !== -1 && end > start ? response.slice(start, end + 1) : response);
+    } catch (error) {
+      return { translations, errors: [`Response is not valid JSON: ${error.message}`] };
     }
     
-    const data = await response.json();
+    const schemaErrors = this.validateSchema(data, BATCH_RESPONSE_SCHEMA);
+    if (schemaErrors.length > 0 && !Array.isArray(data && data.translations)) {
+      return { translations, errors: schemaErrors };
+    }
+    
+    const duplicates = new Set();
+    for (const entry of data.translations) {
+      const entryErrors = this.validateSchema(entry, BATCH_RESPONSE_SCHEMA.properties.translations.items);
+      if (entryErrors.length > 0) {
+        errors.push(`Invalid entry ${JSON.stringify(entry)}: ${entryErrors.join('; ')}`);
+        continue;
+      }
+      
+      const index = Number(entry.id) - 1;
+      if (!Number.isInteger(index) || !originalBatch[index]) {
+        errors.push(`Unknown id "${entry.id}"`);
+      } else if (translations.has(entry.id) || duplicates.has(entry.id)) {
+        // Two answers for one string: trust neither
+        errors.push(`Duplicate id "${entry.id}"`);
+        translations.delete(entry.id);
+        duplicates.add(entry.id);
+      } else if (!entry.translation.trim() && originalBatch[index].text.trim()) {
+        errors.push(`Empty translation for id "${entry.id}"`);
+      } else {
+        translations.set(entry.id, entry.translation);
+      }
+    }
     
-    if (!data.choices || data.choices.length === 0) {
-      throw new Error('No translation received from API');
+    const missing = originalBatch.length - translations.size;
+    if (missing > 0) {
+      errors.push(`${missing} of ${originalBatch.length} entries missing or invalid`);
     }
     
-    return data.choices[0].message.content;
+    return { translations, errors };
   }
 
-  parseBatchResponse(response, originalBatch) {
-    const lines = response.split('\n').filter(line => line.trim());
-    const translations = [];
-    
-    for (const line of lines) {
-      // Match numbered format: "1. translated text"
-      const match = line.match(/^\d+\.\s*(.+)$/);
-      if (match) {
-        translations.push(match[1].trim().replace(/^["']|["']$/g, ''));
-      }
+  /**
+   * Check a value against the subset of JSON Schema used for responses:
+   * type, properties, required, items and additionalProperties.
+   */
+  validateSchema(value, schema, at = 'response') {
+    const errors = [];
+    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    
+    if (schema.type && schema.type !== type) {
+      return [`${at} should be ${schema.type}, got ${type}`];
     }
     
-    // Ensure we have the same number of translations as original texts
-    while (translations.length < originalBatch.length) {
-      const missingIndex = translations.length;
-      translations.push(originalBatch[missingIndex].text); // Fallback to original
+    if (type === 'object' && schema.properties) {
+      (schema.required || [])
+        .filter(key => !(key in value))
+        .forEach(key => errors.push(`${at}.${key} is required`));
+      
+      Object.entries(value).forEach(([key, item]) => {
+        if (schema.properties[key]) {
+          errors.push(...this.validateSchema(item, schema.properties[key], `${at}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${at}.${key} is not allowed`);
+        }
+      });
+    }
+    
+    if (type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validateSchema(item, schema.items, `${at}[${index}]`));
+      });
     }
     
-    return translations;
+    return errors;
   }
 
   async saveTranslations(originalData) {
+    const glossaryViolations = this.checkGlossary();
+    const review = this.reviewer ? this.writeReviewReport() : null;
+    
     const translationData = {
       metadata: {
         ...originalData.metadata,
         translatedAt: new Date().toISOString(),
         model: this.model,
         targetLanguage: this.targetLanguage,
-        apiEndpoint: this.apiEndpoint,
+        targetLanguageName: this.language.displayName,
+        provider: this.provider.name,
+        apiEndpoint: this.provider.endpoint,
         totalTexts: this.totalCount,
         successfulTranslations: this.processedCount,
-        failedTranslations: this.totalCount - this.processedCount
+        failedTranslations: this.totalCount - this.processedCount,
+        validationFailures: this.validationFailures,
+        memoryReuses: this.memoryReuses,
+        overridesApplied: this.overridesApplied,
+        glossaryViolations: glossaryViolations.length,
+        ...(review ? { review } : {}),
+        usage: this.usage.summary({ language: this.targetLanguage }),
+        ...(this.budgetExceeded ? { budgetExceeded: true } : {})
       },
       translations: Array.from(this.translations.values())
     };
     
-    const outputPath = path.join(process.cwd(), 'translations.json');
-    fs.writeFileSync(outputPath, JSON.stringify(translationData, null, 2));
+    const outputPath = path.join(process.cwd(), `translations.${this.targetLanguage}.json`);
+    writeJsonAtomic(outputPath, translationData);
     
     console.log(`💾 Translations saved to: ${outputPath}`);
     
@@ -442,8 +1128,8 @@ Translation:`;
       }
     });
     
-    const mappingPath = path.join(process.cwd(), 'translation-mapping.json');
-    fs.writeFileSync(mappingPath, JSON.stringify(mappingData, null, 2));
+    const mappingPath = path.join(process.cwd(), `translation-mapping.${this.targetLanguage}.json`);
+    writeJsonAtomic(mappingPath, mappingData);
     
     console.log(`🗺️  Translation mapping saved to: ${mappingPath}`);
     
@@ -455,8 +1141,106 @@ Translation:`;
     console.log(`   - Total processed: ${this.processedCount}`);
     console.log(`   - Translated: ${changed}`);
     console.log(`   - Unchanged: ${unchanged}`);
+    if (this.overridesApplied > 0) {
+      console.log(`   - Locked by overrides: ${this.overridesApplied}`);
+    }
+    if (this.memoryReuses > 0) {
+      console.log(`   - Reused from near matches: ${this.memoryReuses}`);
+    }
+    if (this.validationFailures > 0) {
+      console.log(`   - Rejected by validation: ${this.validationFailures}`);
+    }
+    if (glossaryViolations.length > 0) {
+      console.log(`   - Glossary violations: ${glossaryViolations.length}`);
+    }
+    if (review) {
+      console.log(`   - Reviewed: ${review.reviewed} (average score ${review.averageScore}, ${review.belowThreshold} below ${review.threshold}, ${review.retranslated} re-translated)`);
+    }
     console.log(`   - Model used: ${this.model}`);
-    console.log(`   - Target language: ${this.targetLanguage}`);
+    console.log(`   - Target language: ${this.language.displayName} (${this.targetLanguage})`);
+  }
+
+  /**
+   * Check every translation, cached ones included, against the glossary.
+   * Violations are flagged on the translation and written to
+   * glossary-report.<lang>.json.
+   */
+  checkGlossary() {
+    if (this.glossary.entries.length === 0) {
+      return [];
+    }
+    
+    const violations = [];
+    this.translations.forEach(value => {
+      const broken = this.glossary.check(value.original, value.translated);
+      if (broken.length === 0) {
+        return;
+      }
+      
+      value.glossaryViolations = broken;
+      broken.forEach(violation => violations.push({
+        text: value.original,
+        translated: value.translated,
+        ...violation,
+        files: value.files
+      }));
+    });
+    
+    const reportPath = path.join(process.cwd(), `glossary-report.${this.targetLanguage}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify({
+      metadata: {
+        glossary: this.glossary.filePath,
+        targetLanguage: this.targetLanguage,
+        checkedAt: new Date().toISOString(),
+        violations: violations.length
+      },
+      violations
+    }, null, 2));
+    
+    console.log(`📖 Glossary report saved to: ${reportPath} (${violations.length} violations)`);
+    return violations;
+  }
+
+  /**
+   * Write review-report.<lang>.json with every reviewed translation, the
+   * weakest first, and return the summary for the metadata.
+   */
+  writeReviewReport() {
+    const reviewed = [...this.translations.values()]
+      .filter(value => value.review)
+      .sort((a, b) => a.review.score - b.review.score || a.original.localeCompare(b.original));
+    
+    const total = reviewed.reduce((sum, value) => sum + value.review.score, 0);
+    const summary = {
+      model: this.reviewer.model,
+      threshold: this.reviewer.threshold,
+      reviewed: reviewed.length,
+      averageScore: reviewed.length > 0 ? Math.round(total / reviewed.length * 100) / 100 : null,
+      belowThreshold: reviewed.filter(value => this.reviewer.isBelowThreshold(value.review)).length,
+      retranslated: this.retranslations
+    };
+    
+    const reportPath = path.join(process.cwd(), `review-report.${this.targetLanguage}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify({
+      metadata: {
+        ...summary,
+        targetLanguage: this.targetLanguage,
+        reviewedAt: new Date().toISOString()
+      },
+      reviews: reviewed.map(value => ({
+        text: value.original,
+        translated: value.translated,
+        ...value.review,
+        ...(value.previousTranslation ? { previousTranslation: value.previousTranslation } : {}),
+        files: value.files
+      }))
+    }, null, 2));
+    
+    console.log(`🧐 Review report saved to: ${reportPath}`);
+    reviewed.slice(0, 5)
+      .filter(value => this.reviewer.isBelowThreshold(value.review))
+      .forEach(value => console.log(`   ${value.review.score}/5 "${value.original.substring(0, 50)}" → "${value.translated.substring(0, 50)}": ${value.review.comment}`));
+    return summary;
   }
 
   delay(ms) {
@@ -466,12 +1250,91 @@ Translation:`;
 
 // Main execution
 async function main() {
+  const args = process.argv.slice(2);
+  const deltaIndex = args.indexOf('--delta');
+  const deltaArg = deltaIndex !== -1 && args[deltaIndex + 1] && !args[deltaIndex + 1].startsWith('--')
+    ? args[deltaIndex + 1]
+    : 'version-delta.json';
+  const progress = RunProgress.load(path.join(process.cwd(), 'translation-progress.json'));
+  let current = null;
+  
+  // Ctrl-C, a CI timeout or a cancelled job: keep everything paid for so far
+  const stop = (signal, code) => {
+    console.warn(`\n🛑 ${signal} received, saving progress...`);
+    if (current) {
+      current.checkpoint('interrupted');
+    }
+    if (progress.data) {
+      progress.finish('interrupted', { signal });
+    }
+    console.warn(`💾 Cache and progress saved; run again with --resume to continue`);
+    process.exit(code);
+  };
+  process.once('SIGINT', () => stop('SIGINT', 130));
+  process.once('SIGTERM', () => stop('SIGTERM', 143));
+  
   try {
-    const translator = new AITranslator();
-    await translator.translateTexts();
+    const config = TranslatorConfig.load();
+    let languages = getTargetLanguages(config);
+    let delta = deltaIndex !== -1 ? deltaArg : null;
+    let resuming = false;
     
+    if (args.includes('--resume') && progress.isUnfinished()) {
+      // The same job as the run that stopped, minus finished languages
+      console.log(`⏯️  Resuming the previous translation run`);
+      progress.describe().forEach(line => console.log(line));
+      languages = progress.data.options.languages.map(resolveLanguage);
+      delta = progress.data.options.delta;
+      progress.resume();
+      resuming = true;
+    } else {
+      if (args.includes('--resume')) {
+        console.log('ℹ️  No unfinished run to resume, starting a new one');
+      } else if (progress.isUnfinished()) {
+        console.log(`ℹ️  The previous run did not finish; its translations are cached and will be reused (--resume repeats its options)`);
+      }
+      progress.start({ languages: languages.map(language => language.code), delta });
+    }
+    
+    // One provider for all languages, so its rate limits and fallbacks are shared
+    const provider = createProvider(config.provider);
+    const reviewProvider = TranslationReviewer.createProvider(config.review, config.provider, provider);
+    const usage = UsageTracker.fromConfig(config.usage);
+    if (resuming) {
+      // MAX_BUDGET and MAX_TOKENS_TOTAL cap the run, not each resumption
+      usage.carryOver(progress.getSpend());
+    }
+    
+    for (const language of languages) {
+      if (progress.isLanguageDone(language.code)) {
+        console.log(`\n⏭️  ${language.displayName} (${language.code}) already completed`);
+        continue;
+      }
+      if (languages.length > 1) {
+        console.log(`\n🌐 ${language.displayName} (${language.code}) - ${languages.indexOf(language) + 1}/${languages.length}`);
+      }
+      current = new AITranslator(config, {
+        delta,
+        language,
+        provider,
+        reviewProvider,
+        usage,
+        progress
+      });
+      await current.translateTexts();
+    }
+    
+    progress.finish('completed');
     console.log('✅ AI translation completed successfully');
   } catch (error) {
+    if (error instanceof BudgetError) {
+      progress.finish('budget', { error: error.message });
+      console.error(`🛑 AI translation stopped: ${error.message}. The cache and partial translations were saved`);
+      process.exit(BudgetError.EXIT_CODE);
+    }
+    if (progress.data) {
+      progress.finish('failed', { error: error.message });
+    }
     console.error('❌ AI translation failed:', error.message);
     process.exit(1);
   }
@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveLanguage } = require('./languages');
+const { writeJsonAtomic } = require('./atomic-file');
+
+const CACHE_VERSION = '2.0';
+
+// Entries not looked up in this many runs are removed on save
+const DEFAULT_MAX_AGE_RUNS = 10;
+
+/**
+ * Translation cache for one target language, stored as
+ *
+ *   { "version": "2.0", "targetLanguage": "zh-CN", "run": 12,
+ *     "entries": { "<sha256>": { original, translated, model, targetLanguage,
+ *                                createdAt, lastSeenRun } } }
+ *
+ * Keys hash the normalized text with the model and language, so the same
+ * string shares one entry wherever it was extracted from. Where it is used
+ * is left out on purpose: the mapping and the replacer apply one
+ * translation per string, so a translation per usage would only be asked
+ * for and then collapsed back to one. A string that needs different
+ * translations in different places gets file or line overrides instead.
+ * Every run bumps `run`, and entries record the last run that used them,
+ * so entries for strings that left the source can be pruned.
+ */
+class TranslationCache {
+  constructor(filePath, language = null) {
+    this.filePath = filePath;
+    this.language = language;
+    this.entries = new Map();
+    this.run = 0;
+  }
+
+  /**
+   * Unicode NFC, one line-ending style and single spaces, so copies that
+   * only differ in formatting share a translation. Leading and trailing
+   * whitespace is restored from the source on lookup.
+   */
+  static normalize(text) {
+    return String(text)
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+  }
+
+  static getKey(text, model, language) {
+    return crypto.createHash('sha256')
+      .update([TranslationCache.normalize(text), model, language].join('\0'))
+      .digest('hex');
+  }
+
+  /**
+   * Read the cache file, migrating a 1.0 file in place. Without a cache
+   * file, this language's entries are taken from `legacyPath`, the single
+   * 1.0 cache shared by all languages.
+   */
+  load({ legacyPath = null } = {}) {
+    let data = null;
+    if (fs.existsSync(this.filePath)) {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } else if (legacyPath && fs.existsSync(legacyPath)) {
+      data = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      console.log(`📦 Migrating cached translations from ${path.basename(legacyPath)}`);
+    }
+    
+    this.language = this.language || (data && data.targetLanguage) || this.getLanguageFromFileName();
+    if (!data) {
+      return this;
+    }
+    
+    if (data.version === CACHE_VERSION) {
+      this.run = data.run || 0;
+      const perUsage = [];
+      Object.entries(data.entries || {}).forEach(([key, entry]) => {
+        if (entry.contextHash) {
+          perUsage.push(entry);
+        } else {
+          this.entries.set(key, entry);
+        }
+      });
+      // Entries once keyed per usage fold back into one per string
+      this.merge(perUsage, { newest: true });
+    } else if (data.cache && typeof data.cache === 'object') {
+      const { added, skipped } = this.merge(TranslationCache.fromV1(data.cache), { newest: true });
+      console.log(`🔄 Migrated cache format ${data.version || '1.0'} to ${CACHE_VERSION}: ${added} entries${skipped > 0 ? `, ${skipped} duplicates or other languages skipped` : ''}`);
+    } else {
+      console.log(`🔄 Unknown cache format, starting fresh`);
+    }
+    
+    return this;
+  }
+
+  /**
+   * 1.0 entries were keyed by `text|model|language|context` and could name
+   * the language ("简体中文"); the same text under several contexts keeps
+   * its newest translation.
+   */
+  static fromV1(cache) {
+    return Object.values(cache)
+      .filter(entry => entry && entry.original && entry.translated)
+      .map(entry => {
+        let targetLanguage;
+        try {
+          targetLanguage = resolveLanguage(entry.targetLanguage).code;
+        } catch (error) {
+          targetLanguage = entry.targetLanguage;
+        }
+        return {
+          original: entry.original,
+          translated: entry.translated,
+          model: entry.model,
+          targetLanguage,
+          createdAt: entry.createdAt
+        };
+      });
+  }
+
+  getLanguageFromFileName() {
+    const match = path.basename(this.filePath).match(/^translation-cache\.(.+)\.json$/);
+    return match ? match[1] : null;
+  }
+
+  startRun() {
+    this.run++;
+  }
+
+  has(text, model) {
+    return this.entries.has(TranslationCache.getKey(text, model, this.language));
+  }
+
+  findEntry(text, model) {
+    return this.entries.get(TranslationCache.getKey(text, model, this.language));
+  }
+
+  /**
+   * Cached translation of `text`, with the source's own leading and
+   * trailing whitespace.
+   */
+  get(text, model) {
+    const entry = this.findEntry(text, model);
+    if (!entry || !entry.translated) {
+      return null;
+    }
+    
+    entry.lastSeenRun = this.run;
+    if (entry.original === text) {
+      return entry.translated;
+    }
+    const [leading] = text.match(/^\s*/);
+    const [trailing] = text.match(/\s*$/);
+    return leading + entry.translated.trim() + trailing;
+  }
+
+  set(text, translated, model) {
+    this.entries.set(TranslationCache.getKey(text, model, this.language), {
+      original: text,
+      translated,
+      model,
+      targetLanguage: this.language,
+      createdAt: new Date().toISOString(),
+      lastSeenRun: this.run
+    });
+  }
+
+  /**
+   * Drop every model's entries for the given source texts. Returns how
+   * many entries were removed.
+   */
+  removeOriginals(texts) {
+    const normalized = new Set([...texts].map(text => TranslationCache.normalize(text)));
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (normalized.has(TranslationCache.normalize(entry.original))) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove entries no run has used in `maxAgeRuns` runs, optionally only
+   * those of one model. Returns how many were removed; 0 runs keeps all.
+   */
+  prune({ maxAgeRuns = DEFAULT_MAX_AGE_RUNS, model = null } = {}) {
+    let removed = 0;
+    if (!(maxAgeRuns > 0)) {
+      return removed;
+    }
+    for (const [key, entry] of this.entries) {
+      if ((!model || entry.model === model) && this.run - (entry.lastSeenRun || 0) >= maxAgeRuns) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Add entries from another cache or an export. Entries for other
+   * languages are skipped; on conflict the existing entry is kept unless
+   * `overwrite`, or `newest` picks the more recently created one.
+   */
+  merge(entries, { overwrite = false, newest = false } = {}) {
+    const result = { added: 0, updated: 0, skipped: 0 };
+    
+    entries.forEach(entry => {
+      if (!entry.original || !entry.translated || (this.language && entry.targetLanguage !== this.language)) {
+        result.skipped++;
+        return;
+      }
+      
+      const key = TranslationCache.getKey(entry.original, entry.model, entry.targetLanguage);
+      const existing = this.entries.get(key);
+      const replace = !existing || overwrite ||
+        (newest && new Date(entry.createdAt || 0) > new Date(existing.createdAt || 0));
+      if (!replace) {
+        result.skipped++;
+        return;
+      }
+      
+      this.entries.set(key, {
+        original: entry.original,
+        translated: entry.translated,
+        model: entry.model,
+        targetLanguage: entry.targetLanguage,
+        createdAt: entry.createdAt || new Date().toISOString(),
+        // Imported entries start out as used now, not as already stale
+        lastSeenRun: existing ? existing.lastSeenRun : this.run
+      });
+      result[existing ? 'updated' : 'added']++;
+    });
+    
+    return result;
+  }
+
+  save() {
+    const entries = {};
+    this.entries.forEach((entry, key) => {
+      entries[key] = entry;
+    });
+    
+    const data = {
+      version: CACHE_VERSION,
+      targetLanguage: this.language,
+      lastUpdated: new Date().toISOString(),
+      run: this.run,
+      entries
+    };
+    // Saved after every batch, so a kill mid-write must not corrupt it
+    writeJsonAtomic(this.filePath, data);
+  }
+
+  export() {
+    return {
+      version: CACHE_VERSION,
+      exportedAt: new Date().toISOString(),
+      targetLanguage: this.language,
+      entries: [...this.entries.values()].map(({ original, translated, model, targetLanguage, createdAt }) => ({
+        original,
+        translated,
+        model,
+        targetLanguage,
+        createdAt
+      }))
+    };
+  }
+
+  stats(maxAgeRuns = DEFAULT_MAX_AGE_RUNS) {
+    const models = {};
+    let stale = 0;
+    this.entries.forEach(entry => {
+      models[entry.model] = (models[entry.model] || 0) + 1;
+      if (this.run - (entry.lastSeenRun || 0) >= maxAgeRuns) {
+        stale++;
+      }
+    });
+    
+    return {
+      file: this.filePath,
+      targetLanguage: this.language,
+      runs: this.run,
+      entries: this.entries.size,
+      models,
+      stale,
+      bytes: fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0
+    };
+  }
+}
+
+/**
+ * Entries of a cache file (any version) or of an export.
+ */
+function readEntries(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (Array.isArray(data.entries)) {
+    return data.entries;
+  }
+  if (data.version === CACHE_VERSION) {
+    return Object.values(data.entries || {});
+  }
+  if (data.cache) {
+    return TranslationCache.fromV1(data.cache);
+  }
+  throw new Error(`${filePath} is neither a translation cache nor an export`);
+}
+
+function findCacheFiles() {
+  return fs.readdirSync(process.cwd())
+    .filter(name => /^translation-cache\..+\.json$/.test(name))
+    .map(name => path.join(process.cwd(), name));
+}
+
+// Main execution
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const flags = {};
+  const args = [];
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--overwrite') {
+      flags.overwrite = true;
+    } else if (rest[i].startsWith('--')) {
+      flags[rest[i].slice(2)] = rest[++i];
+    } else {
+      args.push(rest[i]);
+    }
+  }
+  const maxAgeRuns = parseInt(flags.runs || process.env.CACHE_MAX_AGE_RUNS || DEFAULT_MAX_AGE_RUNS, 10);
+  const open = file => new TranslationCache(path.resolve(file), flags.lang ? resolveLanguage(flags.lang).code : null).load();
+
+  try {
+    switch (command) {
+      case 'stats': {
+        const files = args.length > 0 ? args : findCacheFiles();
+        if (files.length === 0) {
+          console.log('ℹ️  No translation-cache.<lang>.json files found');
+        }
+        files.forEach(file => {
+          const stats = open(file).stats(maxAgeRuns);
+          console.log(`📊 ${path.basename(stats.file)} (${stats.targetLanguage})`);
+          console.log(`   - Entries: ${stats.entries} (${(stats.bytes / 1024).toFixed(1)} KB)`);
+          console.log(`   - Runs: ${stats.runs}`);
+          Object.entries(stats.models).forEach(([model, count]) => console.log(`   - ${model}: ${count}`));
+          console.log(`   - Unused in the last ${maxAgeRuns} runs: ${stats.stale}`);
+        });
+        break;
+      }
+      case 'prune': {
+        if (!args[0]) {
+          throw new Error('Usage: prune <cache-file> [--runs N] [--model <model>]');
+        }
+        const cache = open(args[0]);
+        const removed = cache.prune({ maxAgeRuns, model: flags.model || null });
+        cache.save();
+        console.log(`🧹 Removed ${removed} entries unused in the last ${maxAgeRuns} runs, ${cache.entries.size} left`);
+        break;
+      }
+      case 'export': {
+        if (!args[0]) {
+          throw new Error('Usage: export <cache-file> [output-file]');
+        }
+        const exported = JSON.stringify(open(args[0]).export(), null, 2);
+        if (args[1]) {
+          fs.writeFileSync(args[1], exported);
+          console.log(`📤 Exported to: ${args[1]}`);
+        } else {
+          process.stdout.write(`${exported}\n`);
+        }
+        break;
+      }
+      case 'import':
+      case 'merge': {
+        if (args.length < 2) {
+          throw new Error(`Usage: ${command === 'import'
+            ? 'import <cache-file> <export-file> [--overwrite]'
+            : 'merge <cache-file> <other-cache-file>...'}`);
+        }
+        const cache = open(args[0]);
+        for (const source of args.slice(1)) {
+          // import keeps existing entries; merge keeps the newer of the two
+          const result = cache.merge(readEntries(source), {
+            overwrite: flags.overwrite,
+            newest: command === 'merge'
+          });
+          console.log(`📥 ${path.basename(source)}: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+        }
+        cache.save();
+        console.log(`💾 ${path.basename(args[0])}: ${cache.entries.size} entries`);
+        break;
+      }
+      default:
+        console.error('❌ Usage: node translation-cache.js stats|prune|export|import|merge [options]');
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Cache command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+TranslationCache.DEFAULT_MAX_AGE_RUNS = DEFAULT_MAX_AGE_RUNS;
+
+module.exports = TranslationCache;
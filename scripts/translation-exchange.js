@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const TranslatorConfig = require('./translator-config');
+const TranslationCache = require('./translation-cache');
+const TranslationOverrides = require('./translation-overrides');
+const TranslationValidator = require('./translation-validator');
+const { getTargetLanguages } = require('./languages');
+const { describeContext } = require('./string-context');
+const { getFormat } = require('./exchange-formats');
+const { writeFileAtomic, writeJsonAtomic } = require('./atomic-file');
+
+// Imported translations go to the overrides file unless --to cache
+const IMPORT_TARGETS = ['overrides', 'cache'];
+
+// Entries listed per problem in the console; the report has all of them
+const MAX_LISTED = 5;
+
+/**
+ * Exports the extraction with its translations for human translators, as
+ * XLIFF 2.0, gettext PO or CSV, and merges edited files back.
+ *
+ * Every exported unit has an id made of a hash of its source and a hash of
+ * the translation it was exported with, so an import can tell a string the
+ * translator changed from one that changed in the tree since the export,
+ * and report a conflict when both did.
+ */
+class TranslationExchange {
+  constructor(config, language, cwd = process.cwd()) {
+    this.config = config;
+    this.language = language;
+    this.cwd = cwd;
+    this.validator = new TranslationValidator();
+    this.overrides = TranslationOverrides.load(config.overridesPath, language);
+    this.translationsData = this.readTranslations();
+    this.units = this.createUnits();
+  }
+
+  static getSourceId(source) {
+    return crypto.createHash('sha256').update(source).digest('hex').slice(0, 12);
+  }
+
+  static getBaseHash(target) {
+    return crypto.createHash('sha256').update(target || '').digest('hex').slice(0, 8);
+  }
+
+  readTranslations() {
+    const translationsPath = path.join(this.cwd, `translations.${this.language.code}.json`);
+    if (!fs.existsSync(translationsPath)) {
+      console.log(`ℹ️  No translations.${this.language.code}.json yet, exporting source strings only`);
+      return { metadata: {}, translations: [] };
+    }
+    return JSON.parse(fs.readFileSync(translationsPath, 'utf8'));
+  }
+
+  /**
+   * One unit per extracted string with its current translation: the
+   * override if there is one for every file, else the AI translation that
+   * passed validation.
+   */
+  createUnits() {
+    const extractedPath = path.join(this.cwd, 'extracted-text.json');
+    if (!fs.existsSync(extractedPath)) {
+      throw new Error('extracted-text.json not found. Run extract-text.js first.');
+    }
+    const { texts } = JSON.parse(fs.readFileSync(extractedPath, 'utf8'));
+    const translations = new Map(this.translationsData.translations.map(entry => [entry.original, entry]));
+    
+    return texts.map(item => {
+      const translation = translations.get(item.text);
+      const override = this.overrides.resolve(item.text);
+      const occurrences = item.occurrences && item.occurrences.length > 0 ? item.occurrences : [item];
+      const context = describeContext(item, Infinity);
+      const notes = [];
+      
+      let status = 'untranslated';
+      let target = null;
+      if (override) {
+        status = 'override';
+        target = override.translation;
+      } else if (translation && translation.translated !== item.text && !translation.error && !translation.validationErrors) {
+        status = translation.review ? 'reviewed' : 'ai';
+        target = translation.translated;
+      }
+      
+      if (this.overrides.hasLocations(item.text)) {
+        notes.push('Some files have their own override, this translation is for the rest');
+      }
+      if (translation && translation.validationErrors) {
+        notes.push(`AI translation rejected: ${translation.validationErrors.join('; ')}`);
+      }
+      if (status === 'reviewed') {
+        const review = translation.review;
+        notes.push(`Review by ${review.model}: accuracy ${review.accuracy}/5, fluency ${review.fluency}/5, terminology ${review.terminology}/5${review.comment ? ` - ${review.comment}` : ''}`);
+        if (review.backTranslation) {
+          notes.push(`Back-translation: ${review.backTranslation}`);
+        }
+      }
+      if (status !== 'override' && translation && translation.memoryMatch) {
+        notes.push(`Reused the translation of "${translation.memoryMatch}"`);
+      }
+      if (context.code) {
+        notes.push(`Code:\n${context.code}`);
+      }
+      
+      return {
+        id: `${TranslationExchange.getSourceId(item.text)}-${TranslationExchange.getBaseHash(target)}`,
+        source: item.text,
+        target,
+        status,
+        file: occurrences[0].file || null,
+        locations: occurrences.filter(occurrence => occurrence.file)
+          .map(occurrence => (occurrence.line ? `${occurrence.file}:${occurrence.line}` : occurrence.file)),
+        context: [context.usage, context.component ? `in ${context.component}` : null].filter(Boolean).join(' '),
+        notes,
+        item
+      };
+    });
+  }
+
+  export(formatName, outputPath = null) {
+    const format = getFormat(formatName);
+    const filePath = outputPath || path.join(this.cwd, `translations.${this.language.code}.${format.extension}`);
+    writeFileAtomic(filePath, format.serialize(this.units, this.language));
+    
+    const counts = {};
+    this.units.forEach(unit => {
+      counts[unit.status] = (counts[unit.status] || 0) + 1;
+    });
+    console.log(`📤 Exported ${this.units.length} strings to: ${filePath}`);
+    Object.entries(counts).forEach(([status, count]) => console.log(`   - ${status}: ${count}`));
+    return filePath;
+  }
+
+  /**
+   * Merge an edited export into the overrides file or the cache. A
+   * translation is taken when it differs from the tree's, or when the
+   * translator approved an unchanged AI translation (overrides only), and
+   * passes placeholder validation. Returns the report.
+   */
+  import(filePath, { format: formatName = null, to = 'overrides', overwrite = false } = {}) {
+    if (!IMPORT_TARGETS.includes(to)) {
+      throw new Error(`Unknown import target "${to}", expected ${IMPORT_TARGETS.join(' or ')}`);
+    }
+    const format = getFormat(formatName, filePath);
+    const entries = format.parse(fs.readFileSync(filePath, 'utf8'));
+    
+    const byId = new Map(this.units.map(unit => [TranslationExchange.getSourceId(unit.source), unit]));
+    const bySource = new Map(this.units.map(unit => [unit.source, unit]));
+    const report = {
+      file: filePath,
+      targetLanguage: this.language.code,
+      importedInto: to,
+      importedAt: new Date().toISOString(),
+      summary: {},
+      new: [],
+      updated: [],
+      approved: [],
+      conflicts: [],
+      invalid: [],
+      unknown: [],
+      unchanged: 0,
+      outdated: 0,
+      empty: 0
+    };
+    const accepted = new Map();
+    
+    entries.forEach(entry => {
+      const [sourceId, baseHash] = (entry.id || '').split('-');
+      const unit = byId.get(sourceId) || bySource.get(entry.source);
+      if (!unit) {
+        report.unknown.push({ id: entry.id, source: entry.source });
+        return;
+      }
+      if (entry.source && entry.source !== unit.source) {
+        report.conflicts.push({ source: unit.source, translation: entry.target, previous: unit.target, reason: `source text in the file differs: ${JSON.stringify(entry.source)}` });
+        return;
+      }
+      if (!entry.target) {
+        report.empty++;
+        return;
+      }
+      
+      const result = { source: unit.source, translation: entry.target, previous: unit.target };
+      const previous = accepted.get(unit.source);
+      if (previous !== undefined) {
+        if (previous !== entry.target) {
+          report.conflicts.push({ ...result, reason: 'the file translates this string twice, differently' });
+        }
+        return;
+      }
+      
+      if (entry.target === unit.target) {
+        if (entry.approved && to === 'overrides' && unit.status !== 'override') {
+          accepted.set(unit.source, entry.target);
+          report.approved.push(result);
+        } else {
+          report.unchanged++;
+        }
+        return;
+      }
+      
+      const exportedWith = baseHash || null;
+      if (exportedWith && TranslationExchange.getBaseHash(entry.target) === exportedWith) {
+        // The file still has what was exported; the tree has moved on
+        report.outdated++;
+        return;
+      }
+      
+      const errors = this.validator.validate(unit.source, entry.target);
+      if (errors.length > 0) {
+        report.invalid.push({ ...result, errors });
+        return;
+      }
+      
+      // Without an id (a PO file whose comments were stripped), only
+      // overrides are protected from being replaced
+      const changedInTree = exportedWith
+        ? TranslationExchange.getBaseHash(unit.target) !== exportedWith
+        : unit.status === 'override';
+      if (changedInTree && !overwrite) {
+        report.conflicts.push({ ...result, reason: exportedWith ? 'changed in the tree since the export' : 'already has an override' });
+        return;
+      }
+      if (to === 'cache' && unit.status === 'override') {
+        report.conflicts.push({ ...result, reason: 'an override wins over the cache, import with --to overrides' });
+        return;
+      }
+      
+      accepted.set(unit.source, entry.target);
+      report[unit.target === null ? 'new' : 'updated'].push(result);
+    });
+    
+    if (accepted.size > 0) {
+      if (to === 'overrides') {
+        this.writeOverrides(accepted);
+      } else {
+        this.writeCache(accepted);
+      }
+    }
+    
+    ['new', 'updated', 'approved', 'conflicts', 'invalid', 'unknown'].forEach(key => {
+      report.summary[key] = report[key].length;
+    });
+    Object.assign(report.summary, { unchanged: report.unchanged, outdated: report.outdated, empty: report.empty });
+    
+    const reportPath = path.join(this.cwd, `import-report.${this.language.code}.json`);
+    writeJsonAtomic(reportPath, report);
+    this.logImport(report, reportPath);
+    return report;
+  }
+
+  /**
+   * Set a translation for everywhere in the overrides file, keeping the
+   * overrides limited to a file or line.
+   */
+  writeOverrides(accepted) {
+    const filePath = this.overrides.filePath;
+    const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    
+    accepted.forEach((translation, source) => {
+      const value = data[source];
+      if (!Array.isArray(value)) {
+        data[source] = translation;
+        return;
+      }
+      const index = value.findIndex(item => typeof item === 'string' || !item.file);
+      if (index === -1) {
+        value.push({ translation });
+      } else {
+        value[index] = typeof value[index] === 'string' ? translation : { ...value[index], translation };
+      }
+    });
+    
+    // Fails before writing if the result is not a valid overrides file
+    TranslationOverrides.parse(data, filePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeJsonAtomic(filePath, data);
+    console.log(`🔒 ${accepted.size} translations written to: ${filePath}`);
+  }
+
+  /**
+   * Store translations as the cached answer of the last run's model, so
+   * the next run uses them until the model changes.
+   */
+  writeCache(accepted) {
+    const model = this.translationsData.metadata.model;
+    if (!model) {
+      throw new Error(`No model in translations.${this.language.code}.json to cache the translations under; run translate-text.js first or import with --to overrides`);
+    }
+    
+    const cache = new TranslationCache(path.join(this.cwd, `translation-cache.${this.language.code}.json`), this.language.code).load();
+    accepted.forEach((translation, source) => {
+      cache.set(source, translation, model);
+    });
+    cache.save();
+    console.log(`💾 ${accepted.size} translations cached for ${model}`);
+  }
+
+  logImport(report, reportPath) {
+    const { summary } = report;
+    console.log(`📥 Imported ${path.basename(report.file)} into the ${report.importedInto}:`);
+    console.log(`   - New: ${summary.new}`);
+    console.log(`   - Updated: ${summary.updated}`);
+    if (report.importedInto === 'overrides') {
+      console.log(`   - Approved: ${summary.approved}`);
+    }
+    console.log(`   - Unchanged: ${summary.unchanged}${summary.outdated > 0 ? `, ${summary.outdated} outdated in the file` : ''}${summary.empty > 0 ? `, ${summary.empty} empty` : ''}`);
+    
+    const list = (entries, describe) => {
+      entries.slice(0, MAX_LISTED).forEach(entry => console.log(`     "${entry.source.substring(0, 50)}": ${describe(entry)}`));
+      if (entries.length > MAX_LISTED) {
+        console.log(`     ... and ${entries.length - MAX_LISTED} more`);
+      }
+    };
+    if (summary.conflicts > 0) {
+      console.warn(`   ⚠️  Conflicts: ${summary.conflicts} (not imported; --overwrite takes the file's translation)`);
+      list(report.conflicts, entry => entry.reason);
+    }
+    if (summary.invalid > 0) {
+      console.warn(`   ❌ Invalid: ${summary.invalid} (not imported)`);
+      list(report.invalid, entry => entry.errors.join('; '));
+    }
+    if (summary.unknown > 0) {
+      console.warn(`   ❓ Not in the extraction: ${summary.unknown}`);
+      list(report.unknown, () => 'no longer extracted');
+    }
+    console.log(`📋 Import report saved to: ${reportPath}`);
+  }
+}
+
+// Main execution
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const flags = {};
+  const args = [];
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--overwrite') {
+      flags.overwrite = true;
+    } else if (rest[i].startsWith('--')) {
+      flags[rest[i].slice(2)] = rest[++i];
+    } else {
+      args.push(rest[i]);
+    }
+  }
+
+  try {
+    const config = TranslatorConfig.load();
+    const languages = getTargetLanguages(config, flags.lang ? { TARGET_LANGUAGES: flags.lang } : process.env);
+    
+    switch (command) {
+      case 'export': {
+        if (!flags.format) {
+          throw new Error('Usage: export --format xliff|po|csv [--lang zh-CN,ja] [--out <file>]');
+        }
+        if (flags.out && languages.length > 1) {
+          throw new Error('--out needs a single --lang');
+        }
+        languages.forEach(language => new TranslationExchange(config, language).export(flags.format, flags.out));
+        break;
+      }
+      case 'import': {
+        if (!args[0]) {
+          throw new Error('Usage: import <file> [--lang zh-CN] [--format xliff|po|csv] [--to overrides|cache] [--overwrite]');
+        }
+        new TranslationExchange(config, languages[0]).import(args[0], {
+          format: flags.format,
+          to: flags.to,
+          overwrite: flags.overwrite
+        });
+        break;
+      }
+      default:
+        console.error('❌ Usage: node translation-exchange.js export|import [options]');
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Exchange command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = TranslationExchange;
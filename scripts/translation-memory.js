@@ -0,0 +1,118 @@
+const { textSimilarity } = require('./text-similarity');
+
+// Near matches at least this similar are shown to the model as examples
+const DEFAULT_MIN_SIMILARITY = 0.6;
+const DEFAULT_MAX_EXAMPLES = 5;
+
+// Sentence punctuation that may differ between otherwise identical strings
+const TRAILING_PUNCTUATION = /[\s.!?:;…。！？：；]+$/;
+const FULL_WIDTH = { '.': '。', '!': '！', '?': '？', ':': '：', ';': '；' };
+
+/**
+ * Earlier translations of this language, searched for strings close to a
+ * new one. Strings that differ only in case, spacing or closing punctuation
+ * ("Delete instance" / "Delete instance?") reuse the earlier translation;
+ * other near matches are given to the model as examples to follow.
+ */
+class TranslationMemory {
+  constructor(entries = [], options = {}) {
+    this.minSimilarity = options.minSimilarity ?? DEFAULT_MIN_SIMILARITY;
+    this.maxExamples = options.maxExamples ?? DEFAULT_MAX_EXAMPLES;
+    this.reuse = options.reuse !== false;
+    this.entries = new Map();
+    entries.forEach(entry => this.add(entry.original, entry.translated));
+  }
+
+  /**
+   * Memory of a TranslationCache. The current model's translations win
+   * over other models' for the same string.
+   */
+  static fromCache(cache, model, options = {}) {
+    // Added last, so they replace other models' entries
+    const entries = [...cache.entries.values()]
+      .sort((a, b) => (a.model === model) - (b.model === model));
+    return new TranslationMemory(entries, options);
+  }
+
+  static getReuseKey(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').replace(TRAILING_PUNCTUATION, '').trim();
+  }
+
+  add(original, translated) {
+    if (original && translated && original !== translated) {
+      this.entries.set(original, { original, translated, reuseKey: TranslationMemory.getReuseKey(original) });
+    }
+  }
+
+  /**
+   * The earlier translation adapted to `text`, if an earlier string differs
+   * from it only in case, spacing or closing punctuation.
+   */
+  findReusable(text) {
+    if (!this.reuse) {
+      return null;
+    }
+    
+    const reuseKey = TranslationMemory.getReuseKey(text);
+    if (!reuseKey) {
+      return null;
+    }
+    for (const entry of this.entries.values()) {
+      if (entry.reuseKey === reuseKey && entry.original !== text) {
+        return { ...entry, translated: this.adaptPunctuation(text, entry) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Swap the earlier translation's closing punctuation for the new
+   * string's, full-width if the translation uses full-width punctuation or
+   * CJK script.
+   */
+  adaptPunctuation(text, entry) {
+    const [leading] = text.match(/^\s*/);
+    const [trailing] = text.match(TRAILING_PUNCTUATION) || [''];
+    const [previous] = entry.translated.match(TRAILING_PUNCTUATION) || [''];
+    const fullWidth = /[。！？：；]/.test(previous) ||
+      (!previous.trim() && /[぀-ヿ㐀-鿿가-힯]/.test(entry.translated));
+    
+    const punctuation = fullWidth
+      ? trailing.replace(/[ \t]*([.!?:;])/g, (match, mark) => FULL_WIDTH[mark])
+      : trailing;
+    return leading + entry.translated.trim().replace(TRAILING_PUNCTUATION, '') + punctuation;
+  }
+
+  /**
+   * Earlier translations most similar to any of `texts`, best first, for
+   * use as few-shot examples.
+   */
+  findExamples(texts, limit = this.maxExamples) {
+    const best = new Map();
+    
+    texts.forEach(text => {
+      for (const entry of this.entries.values()) {
+        if (entry.original === text) {
+          continue;
+        }
+        // Dice can't reach the threshold when the lengths are too different
+        const shorter = Math.min(text.length, entry.original.length);
+        if ((2 * shorter) / (text.length + entry.original.length) < this.minSimilarity) {
+          continue;
+        }
+        
+        const similarity = textSimilarity(text, entry.original);
+        const previous = best.get(entry.original);
+        if (similarity >= this.minSimilarity && (!previous || similarity > previous.similarity)) {
+          best.set(entry.original, { ...entry, similarity });
+        }
+      }
+    });
+    
+    return [...best.values()]
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+}
+
+module.exports = TranslationMemory;
@@ -0,0 +1,95 @@
+const fs = require('fs');
+
+/**
+ * Hand-written translations for one language that always win over the
+ * model's. The file maps source strings to a translation, or to a list of
+ * translations limited to a file or a line of it:
+ *
+ *   { "Delete instance": "删除实例",
+ *     "Play": [{ "translation": "启动" },
+ *              { "translation": "播放", "file": "src/pages/Media.vue", "line": 42 }] }
+ *
+ * Paths are relative to the source directory, as in extracted-text.json.
+ */
+class TranslationOverrides {
+  constructor(entries = [], filePath = null) {
+    this.filePath = filePath;
+    this.entries = entries;
+    this.bySource = new Map();
+    entries.forEach(entry => {
+      if (!this.bySource.has(entry.source)) {
+        this.bySource.set(entry.source, []);
+      }
+      this.bySource.get(entry.source).push(entry);
+    });
+  }
+
+  /**
+   * Overrides for a language from `pathPattern`, where {lang} stands for
+   * the language code. A missing file means no overrides.
+   */
+  static load(pathPattern, language) {
+    if (!pathPattern) {
+      return new TranslationOverrides();
+    }
+    
+    const filePath = pathPattern.replace(/\{lang\}/g, language.code);
+    if (!fs.existsSync(filePath)) {
+      return new TranslationOverrides([], filePath);
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid overrides file ${filePath}: ${error.message}`);
+    }
+    
+    const overrides = new TranslationOverrides(TranslationOverrides.parse(data, filePath), filePath);
+    console.log(`🔒 Loaded ${overrides.entries.length} translation overrides for ${language.code}`);
+    return overrides;
+  }
+
+  static parse(data, filePath) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Invalid overrides file ${filePath}: expected an object of source strings`);
+    }
+    
+    return Object.entries(data).flatMap(([source, value]) =>
+      (Array.isArray(value) ? value : [value]).map(item => {
+        const entry = typeof item === 'string' ? { translation: item } : item;
+        if (!entry || typeof entry.translation !== 'string' ||
+            (entry.file !== undefined && typeof entry.file !== 'string') ||
+            (entry.line !== undefined && (!Number.isInteger(entry.line) || entry.file === undefined))) {
+          throw new Error(`Invalid override for "${source}" in ${filePath}: expected a translation string or { translation, file, line }`);
+        }
+        return { source, translation: entry.translation, file: entry.file || null, line: entry.line || null };
+      })
+    );
+  }
+
+  getSources() {
+    return [...this.bySource.keys()];
+  }
+
+  /**
+   * Whether some override of `source` only applies in certain files.
+   */
+  hasLocations(source) {
+    return (this.bySource.get(source) || []).some(entry => entry.file);
+  }
+
+  /**
+   * The most specific override for `source` at a location: one for the
+   * line, then one for the file, then one for everywhere.
+   */
+  resolve(source, file = null, line = null) {
+    const entries = this.bySource.get(source) || [];
+    return entries.find(entry => entry.file && entry.file === file && entry.line && entry.line === line) ||
+      entries.find(entry => entry.file && entry.file === file && !entry.line) ||
+      entries.find(entry => !entry.file) ||
+      null;
+  }
+}
+
+module.exports = TranslationOverrides;
@@ -0,0 +1,216 @@
+const { createProvider } = require('./providers');
+
+const REVIEW_SYSTEM_PROMPT = 'You are a senior software localization reviewer. Judge translations of UI strings strictly and explain what is wrong in a few words.';
+
+// Scores run from 1 (wrong) to 5 (flawless)
+const ASPECTS = ['accuracy', 'fluency', 'terminology'];
+
+// A translation scoring below this in any aspect is translated again
+const DEFAULT_THRESHOLD = 3;
+
+// Re-translations per string; each is reviewed again
+const DEFAULT_ROUNDS = 1;
+
+/**
+ * Second pass over translations by a reviewing model, possibly a different
+ * one from the translator's. Each translation is scored 1-5 for accuracy,
+ * fluency and terminology, with a comment and optionally a back-translation
+ * into English. The translator sends the requests and re-translates what
+ * scores under the threshold, with the comment as a hint.
+ */
+class TranslationReviewer {
+  constructor(provider, language, options = {}) {
+    if (provider.followsPrompts === false) {
+      throw new Error(`The ${provider.name} provider can't review translations; set review.provider to a model`);
+    }
+    
+    this.provider = provider;
+    this.model = provider.model;
+    this.language = language;
+    this.glossary = options.glossary || null;
+    this.threshold = Number(options.threshold ?? DEFAULT_THRESHOLD);
+    this.rounds = Number(options.rounds ?? DEFAULT_ROUNDS);
+    this.backTranslate = Boolean(options.backTranslate);
+    this.schema = this.createSchema();
+  }
+
+  /**
+   * Provider for the review pass, or null when reviewing is off. It is on
+   * with `review.enabled` in the config, TRANSLATION_REVIEW=true or a
+   * REVIEW_MODEL; without its own `review.provider` type or REVIEW_PROVIDER
+   * it uses the translator's provider settings.
+   */
+  static createProvider(settings = {}, providerSettings = {}, translationProvider = null, env = process.env) {
+    const enabled = env.TRANSLATION_REVIEW !== undefined && env.TRANSLATION_REVIEW !== ''
+      ? ['true', '1', 'yes'].includes(env.TRANSLATION_REVIEW.toLowerCase())
+      : Boolean(settings.enabled || env.REVIEW_MODEL);
+    if (!enabled) {
+      return null;
+    }
+    
+    const reviewSettings = settings.provider || {};
+    if (Object.keys(reviewSettings).length === 0 && !env.REVIEW_PROVIDER && !env.REVIEW_MODEL && translationProvider) {
+      return translationProvider;
+    }
+    
+    // A reviewer of another type doesn't inherit the translator's settings
+    const translationType = env.TRANSLATION_PROVIDER || providerSettings.type || 'openai';
+    const type = env.REVIEW_PROVIDER || reviewSettings.type || translationType;
+    const sameType = type === translationType;
+    const model = env.REVIEW_MODEL || reviewSettings.model ||
+      (sameType ? env.MODEL || env.OPENAI_MODEL || providerSettings.model : undefined);
+    
+    return createProvider(
+      sameType ? { ...providerSettings, ...reviewSettings } : reviewSettings,
+      { ...env, MODEL: model, OPENAI_MODEL: undefined },
+      type
+    );
+  }
+
+  /**
+   * Settings from the config's `review` section, with REVIEW_THRESHOLD and
+   * BACK_TRANSLATE taking precedence.
+   */
+  static getOptions(settings = {}, env = process.env) {
+    return {
+      threshold: env.REVIEW_THRESHOLD || settings.threshold,
+      rounds: settings.rounds,
+      backTranslate: env.BACK_TRANSLATE ? env.BACK_TRANSLATE === 'true' : settings.backTranslate
+    };
+  }
+
+  createSchema() {
+    const properties = {
+      id: { type: 'string' },
+      ...Object.fromEntries(ASPECTS.map(aspect => [aspect, { type: 'integer' }])),
+      comment: { type: 'string' },
+      ...(this.backTranslate ? { backTranslation: { type: 'string' } } : {})
+    };
+    
+    return {
+      type: 'object',
+      properties: {
+        reviews: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties,
+            required: Object.keys(properties),
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['reviews'],
+      additionalProperties: false
+    };
+  }
+
+  /**
+   * `batch` holds { text, translated, context } entries.
+   */
+  createPrompt(batch) {
+    const entries = JSON.stringify(batch.map((entry, index) => ({
+      id: String(index + 1),
+      text: entry.text,
+      translation: entry.translated,
+      ...(entry.context ? { context: entry.context } : {})
+    })), null, 2);
+    
+    const glossaryEntries = this.glossary ? this.glossary.findRelevant(batch.map(entry => entry.text)) : [];
+    const glossaryLines = glossaryEntries.length > 0
+      ? `\n- Required terminology:\n${this.glossary.describe(glossaryEntries).join('\n')}`
+      : '';
+    
+    const backTranslationLine = this.backTranslate
+      ? '\n- backTranslation: the translation translated back into English, literally, so a reader who doesn\'t know the language can check it'
+      : '';
+    const example = this.backTranslate ? ', "backTranslation": "..."' : '';
+    
+    return `Review these translations of UI strings from English to ${this.language.displayName}. Each entry has the English text, its translation and where the string is used.
+
+Score every translation from 1 (wrong) to 5 (flawless) for:
+- accuracy: says what the English says, with nothing dropped, added or misread for its context
+- fluency: reads like natural ${this.language.name} software UI
+- terminology: uses the required terms and keeps placeholders ({count}, <0></0>), product names and technical terms as they are${glossaryLines}
+
+Give each entry:
+- comment: what to change, in one short English sentence, for any score below 5; otherwise an empty string${backTranslationLine}
+
+Translations to review (JSON, each with an id):
+${entries}
+
+Please respond with ONLY a JSON object containing one entry for every id, with the same id:
+{"reviews": [{"id": "1", "accuracy": 5, "fluency": 4, "terminology": 5, "comment": "..."${example}}]}
+
+Do not include any explanation or additional text.`;
+  }
+
+  /**
+   * Match a review response to the batch by id. Returns the reviews keyed
+   * by id and what was wrong with the rest.
+   */
+  parseResponse(response, batch) {
+    const reviews = new Map();
+    const errors = [];
+    
+    let data;
+    try {
+      const start = response.indexOf('{');
+      const end = response.lastIndexOf('}');
+      data = JSON.parse(start !== -1 && end > start ? response.slice(start, end + 1) : response);
+    } catch (error) {
+      return { reviews, errors: [`Review response is not valid JSON: ${error.message}`] };
+    }
+    if (!data || !Array.isArray(data.reviews)) {
+      return { reviews, errors: ['Review response has no reviews array'] };
+    }
+    
+    data.reviews.forEach(entry => {
+      const index = Number(entry && entry.id) - 1;
+      const valid = Number.isInteger(index) && batch[index] &&
+        ASPECTS.every(aspect => Number.isInteger(entry[aspect]) && entry[aspect] >= 1 && entry[aspect] <= 5);
+      if (!valid) {
+        errors.push(`Invalid review ${JSON.stringify(entry)}`);
+        return;
+      }
+      
+      const review = {
+        ...Object.fromEntries(ASPECTS.map(aspect => [aspect, entry[aspect]])),
+        // A translation is only as good as its weakest aspect
+        score: Math.min(...ASPECTS.map(aspect => entry[aspect])),
+        comment: typeof entry.comment === 'string' ? entry.comment.trim() : '',
+        model: this.model
+      };
+      if (this.backTranslate && typeof entry.backTranslation === 'string') {
+        review.backTranslation = entry.backTranslation;
+      }
+      reviews.set(entry.id, review);
+    });
+    
+    const missing = batch.length - reviews.size;
+    if (missing > 0) {
+      errors.push(`${missing} of ${batch.length} reviews missing or invalid`);
+    }
+    
+    return { reviews, errors };
+  }
+
+  isBelowThreshold(review) {
+    return review.score < this.threshold;
+  }
+
+  /**
+   * The hint sent with a re-translation.
+   */
+  describeProblem(review, translated) {
+    const low = ASPECTS
+      .filter(aspect => review[aspect] < this.threshold)
+      .map(aspect => `${aspect} ${review[aspect]}/5`);
+    return `A reviewer scored the translation ${JSON.stringify(translated)} ${low.join(', ')}: ${review.comment || 'no comment'}`;
+  }
+}
+
+TranslationReviewer.SYSTEM_PROMPT = REVIEW_SYSTEM_PROMPT;
+TranslationReviewer.ASPECTS = ASPECTS;
+
+module.exports = TranslationReviewer;
@@ -0,0 +1,88 @@
+// Tokens a translation has to carry over unchanged, checked in this order so
+// `${x}` and `{{ x }}` aren't also counted as `{x}` placeholders
+const TOKEN_TYPES = [
+  { name: 'expression', label: '${} expression', regex: /\$\{[^{}]*\}/g },
+  { name: 'interpolation', label: '{{ }} interpolation', regex: /\{\{[\s\S]*?\}\}/g },
+  { name: 'placeholder', label: 'placeholder', regex: /\{[^{}\s][^{}]*\}/g },
+  { name: 'format', label: 'format specifier', regex: /%(?:\d+\$)?[-+#0]*\d*(?:\.\d+)?[sdifuxXeEgGc@]/g },
+  { name: 'tag', label: 'tag', regex: /<\/?[A-Za-z0-9][\w-]*(?:\s[^<>]*)?\/?>/g },
+  { name: 'escape', label: 'escape sequence', regex: /\\(?:u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[nrtbfv0'"`\\])/g }
+];
+
+class TranslationValidator {
+  /**
+   * Compare a translation with its source and return one reason per
+   * problem, or an empty list when the translation is safe to use.
+   */
+  validate(source, translation) {
+    if (typeof translation !== 'string') {
+      return ['translation is not a string'];
+    }
+    
+    const errors = [];
+    let sourceRest = source;
+    let translationRest = translation;
+    
+    for (const type of TOKEN_TYPES) {
+      const expected = this.collectTokens(sourceRest, type);
+      const actual = this.collectTokens(translationRest, type);
+      
+      const missing = this.subtract(expected, actual);
+      const extra = this.subtract(actual, expected);
+      if (missing.length > 0) {
+        errors.push(`missing ${type.label} ${missing.join(' ')}`);
+      }
+      if (extra.length > 0) {
+        errors.push(`unexpected ${type.label} ${extra.join(' ')}`);
+      }
+      
+      sourceRest = sourceRest.replace(type.regex, ' ');
+      translationRest = translationRest.replace(type.regex, ' ');
+    }
+    
+    if (this.leadingWhitespace(source) !== this.leadingWhitespace(translation)) {
+      errors.push('leading whitespace changed');
+    }
+    if (this.trailingWhitespace(source) !== this.trailingWhitespace(translation)) {
+      errors.push('trailing whitespace changed');
+    }
+    
+    const sourceLines = source.split('\n').length;
+    const translationLines = translation.split('\n').length;
+    if (sourceLines !== translationLines) {
+      errors.push(`expected ${sourceLines - 1} newlines, got ${translationLines - 1}`);
+    }
+    
+    return errors;
+  }
+
+  collectTokens(text, type) {
+    const tokens = text.match(type.regex) || [];
+    // Attributes may be translated, the tag itself may not
+    return type.name === 'tag'
+      ? tokens.map(token => token.replace(/^(<\/?[\w-]+)[\s\S]*?(\/?>)$/, '$1$2'))
+      : tokens;
+  }
+
+  subtract(tokens, others) {
+    const remaining = [...others];
+    return tokens.filter(token => {
+      const index = remaining.indexOf(token);
+      if (index === -1) {
+        return true;
+      }
+      remaining.splice(index, 1);
+      return false;
+    });
+  }
+
+  leadingWhitespace(text) {
+    return text.match(/^\s*/)[0];
+  }
+
+  trailingWhitespace(text) {
+    return text.match(/\s*$/)[0];
+  }
+}
+
+module.exports = TranslationValidator;
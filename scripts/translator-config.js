@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILES = ['translator.config.js', 'translator.config.json'];
+
+// Defaults shared by the extractor, translator and replacer. Lists in a
+// project config file are added to these, `include` replaces them.
+const DEFAULTS = {
+  include: ['**/*.{vue,js,ts,jsx,tsx}'],
+  exclude: [
+    // Directories that don't contain translatable content
+    '**/node_modules/**', '**/.git/**', '**/dist/**', '**/build/**', '**/.nuxt/**', '**/.next/**',
+    // Configuration files
+    '**/nuxt.config.{ts,js}', '**/vite.config.{ts,js}', '**/webpack.config.{ts,js}',
+    '**/rollup.config.{ts,js}', '**/tailwind.config.{ts,js}', '**/eslint.config.{ts,js}',
+    '**/tsconfig.json', '**/package.json'
+  ],
+  technicalTerms: [
+    'API', 'HTTP', 'HTTPS', 'JSON', 'XML', 'HTML', 'CSS', 'JS', 'TS',
+    'Vue', 'React', 'Node', 'npm', 'yarn', 'pnpm', 'webpack', 'vite',
+    'GitHub', 'Git', 'OAuth', 'JWT', 'UUID', 'URL', 'URI', 'SQL',
+    'CORS', 'REST', 'GraphQL', 'WebSocket', 'localStorage', 'sessionStorage',
+    'getElementById', 'querySelector', 'addEventListener', 'fetch', 'async', 'await',
+    'true', 'false', 'null', 'undefined', 'NaN', 'Infinity',
+    'floating-vue', 'vue-router', 'vue-virtual-scroller', 'vue-multiselect',
+    'modrinth', 'tauri', 'pinia'
+  ],
+  excludePatterns: [
+    /^https?:\/\//,          // URLs
+    /^\/[\/\w\-\.]*$/,       // File paths
+    /^\.[\/\w\-]*$/,         // Relative paths starting with .
+    /^@[\/\w\-]*$/,          // Import paths starting with @
+    /^\d+(\.\d+)*$/,         // Version numbers
+    /^#[0-9a-fA-F]{3,8}$/,   // Hex colors
+    /^rgb\(|rgba\(|hsl\(/,   // CSS colors
+    /^\$[a-zA-Z]/,           // CSS variables
+    /^var\(|calc\(|url\(/,   // CSS functions
+    /^[a-z]+:[a-z]+$/,       // Key-value pairs like "type:button"
+    /^[A-Z][a-zA-Z]*Error$/, // Error types
+    /^[a-z]+-[a-z-]+$/,      // Package names (kebab-case)
+    /^\?[a-zA-Z]/,           // URL parameters
+    /^\w+\(\)$/,             // Function calls
+    /^\w+\.\w+/,             // Property access
+    /^[a-zA-Z0-9_-]+\.(vue|js|ts|css|scss|png|jpg|svg)$/i, // File references
+    /^\{\{.*\}\}$/,          // Vue template expressions
+    /^v-[a-z]/               // Vue directives
+  ],
+  // Identifier- and code-shaped strings. Not applied to values of translatable
+  // props and directives, where a lone 'Save' or 'OK' is a real label, nor to
+  // template messages, which are prose ("Click <0>here</0> to log in")
+  identifierPatterns: [
+    /console\.|error|warn|info|debug|log/i, // Console methods
+    /^[A-Z_]{2,}$/,          // Constants (all caps)
+    /^(?=.{16,})(?=.*[\d+/=])[A-Za-z0-9+/]+={0,2}$/, // Base64-like strings
+    /^[a-z][a-zA-Z]*[A-Z]/,  // camelCase identifiers
+    /^[A-Z][a-z]*$/          // PascalCase single words (likely component names)
+  ],
+  // '*' applies to every element, component entries add props for that component only
+  translatableProps: {
+    '*': ['title', 'placeholder', 'alt', 'aria-label', 'data-tooltip', 'label', 'description', 'header'],
+    ConfirmModal: ['proceed-label'],
+    DropdownSelect: ['default-value']
+  },
+  // Directives whose expression is UI text, e.g. v-tooltip="'...'"
+  translatableDirectives: ['tooltip'],
+  // Functions whose descriptor's defaultMessage is UI text
+  messageFunctions: ['formatMessage', 'defineMessage'],
+  // Strings or "/regex/" patterns that are always extracted, whatever the filters say
+  forceInclude: [],
+  // Where script strings flow. `deny` sinks take code identifiers and are never
+  // extracted, `allow` sinks show text to users and skip the heuristic filters.
+  // A rule matches a call (`callee`/`newExpression`, optional `argument` index),
+  // an object `property` (optionally inside such a call) or a `syntax` position.
+  // With `nested` it matches strings anywhere inside the call's arguments.
+  sinks: {
+    deny: [
+      // Event, prop and model names of a component
+      { callee: 'defineEmits', nested: true },
+      { callee: 'defineProps', nested: true },
+      { callee: 'defineModel', nested: true },
+      { callee: 'withDefaults', nested: true },
+      { callee: 'defineComponent', property: ['props', 'emits', 'model', 'inject'], nested: true },
+      { callee: 'emit', argument: 0 },
+      { callee: '$emit', argument: 0 },
+      { callee: 'invoke', argument: 0 },
+      { callee: 'listen', argument: 0 },
+      { callee: 'localStorage.getItem' },
+      { callee: 'localStorage.setItem', argument: 0 },
+      { callee: 'localStorage.removeItem' },
+      { callee: 'sessionStorage.getItem' },
+      { callee: 'sessionStorage.setItem', argument: 0 },
+      { callee: 'sessionStorage.removeItem' },
+      { callee: 'router.push' },
+      { callee: 'router.replace' },
+      { callee: '$router.push' },
+      { callee: '$router.replace' },
+      { callee: 'addEventListener', argument: 0 },
+      { callee: 'removeEventListener', argument: 0 },
+      { callee: 'querySelector' },
+      { callee: 'querySelectorAll' },
+      { callee: 'getElementById' },
+      { callee: 'setAttribute', argument: 0 },
+      { callee: 'getAttribute' },
+      { callee: 'classList.add' },
+      { callee: 'classList.remove' },
+      { callee: 'classList.toggle' },
+      { callee: 'provide', argument: 0 },
+      { callee: 'inject', argument: 0 },
+      { callee: 'require' },
+      { callee: 'fetch', argument: 0 },
+      { callee: 'includes' },
+      { callee: 'startsWith' },
+      { callee: 'endsWith' },
+      { callee: 'split' },
+      { callee: 'indexOf' },
+      { property: ['id', 'key', 'type', 'icon', 'to', 'href', 'path', 'route', 'component', 'event', 'class'] },
+      { syntax: 'switch-case' },
+      { syntax: 'comparison' },
+      { syntax: 'computed-member' }
+    ],
+    allow: [
+      { callee: 'addNotification', property: ['title', 'text'] },
+      { newExpression: 'Error', argument: 0 },
+      { callee: 'defineMessage', property: 'defaultMessage' },
+      { property: 'defaultMessage' }
+    ]
+  },
+  // [{ files: ['src/helpers/**'], exclude: true }, { files: [...], technicalTerms: [...] }]
+  overrides: []
+};
+
+class TranslatorConfig {
+  constructor(options = {}, configPath = null) {
+    this.configPath = configPath;
+    
+    this.include = (options.include || DEFAULTS.include).map(glob => this.globToRegExp(glob));
+    this.exclude = [...DEFAULTS.exclude, ...(options.exclude || [])].map(glob => this.globToRegExp(glob));
+    this.rules = this.mergeRules(DEFAULTS, options);
+    // Project-specific terms, also passed to the model as do-not-translate hints
+    this.projectTerms = options.technicalTerms || [];
+    // Translation backend settings, see scripts/providers
+    this.provider = options.provider || {};
+    // Translation memory settings, see scripts/translation-memory.js
+    this.memory = options.memory || {};
+    // Token budgets for batching, see scripts/batch-planner.js
+    this.batching = options.batching || {};
+    // Second-pass review, see scripts/translation-reviewer.js
+    this.review = options.review || {};
+    // Model prices and spending caps, see scripts/usage-tracker.js
+    this.usage = options.usage || {};
+    // BCP-47 codes, used when TARGET_LANGUAGES isn't set
+    this.targetLanguages = options.targetLanguages || null;
+    // Glossary file, relative to the config file
+    this.glossaryPath = options.glossary
+      ? path.resolve(configPath ? path.dirname(configPath) : process.cwd(), options.glossary)
+      : null;
+    // Human translations per language, {lang} is the language code
+    this.overridesPath = path.resolve(
+      configPath ? path.dirname(configPath) : process.cwd(),
+      options.translationOverrides || 'overrides/{lang}.json'
+    );
+    
+    this.overrides = (options.overrides || []).map(override => ({
+      ...override,
+      files: (override.files || []).map(glob => this.globToRegExp(glob))
+    }));
+    
+    this.fileRulesCache = new Map();
+  }
+
+  /**
+   * Load the project config from TRANSLATOR_CONFIG or the first
+   * translator.config.js/json in the working directory. Missing config
+   * files fall back to the defaults.
+   */
+  static load(configPath = process.env.TRANSLATOR_CONFIG) {
+    const candidates = configPath
+      ? [path.resolve(configPath)]
+      : CONFIG_FILES.map(file => path.join(process.cwd(), file));
+    
+    const found = candidates.find(file => fs.existsSync(file));
+    if (!found) {
+      if (configPath) {
+        throw new Error(`Config file not found: ${configPath}`);
+      }
+      return new TranslatorConfig();
+    }
+    
+    try {
+      const options = found.endsWith('.json')
+        ? JSON.parse(fs.readFileSync(found, 'utf8'))
+        : require(found);
+      console.log(`⚙️  Loaded translator config: ${found}`);
+      return new TranslatorConfig(options, found);
+    } catch (error) {
+      throw new Error(`Invalid config file ${found}: ${error.message}`);
+    }
+  }
+
+  mergeRules(base, extra) {
+    const props = { ...base.translatableProps };
+    Object.entries(extra.translatableProps || {}).forEach(([component, list]) => {
+      props[component] = [...(props[component] || []), ...list];
+    });
+    
+    return {
+      technicalTerms: [...base.technicalTerms, ...(extra.technicalTerms || [])],
+      excludePatterns: [
+        ...base.excludePatterns,
+        ...(extra.excludePatterns || []).map(pattern => this.toRegExp(pattern))
+      ],
+      identifierPatterns: base.identifierPatterns,
+      translatableProps: props,
+      translatableDirectives: [...base.translatableDirectives, ...(extra.translatableDirectives || [])],
+      messageFunctions: [...base.messageFunctions, ...(extra.messageFunctions || [])],
+      sinks: {
+        deny: [...base.sinks.deny, ...((extra.sinks && extra.sinks.deny) || [])],
+        allow: [...base.sinks.allow, ...((extra.sinks && extra.sinks.allow) || [])]
+      },
+      forceInclude: [
+        ...base.forceInclude,
+        ...(extra.forceInclude || []).map(entry => this.isRegExpLiteral(entry) ? this.toRegExp(entry) : entry)
+      ]
+    };
+  }
+
+  /**
+   * Rules for one file: the project rules plus every matching override.
+   * Returns null when an override excludes the file entirely.
+   */
+  getFileRules(relativePath) {
+    const file = this.normalizePath(relativePath);
+    if (this.fileRulesCache.has(file)) {
+      return this.fileRulesCache.get(file);
+    }
+    
+    let rules = this.rules;
+    for (const override of this.overrides) {
+      if (!override.files.some(regex => regex.test(file))) {
+        continue;
+      }
+      if (override.exclude === true) {
+        rules = null;
+        break;
+      }
+      rules = this.mergeRules(rules, override);
+    }
+    
+    this.fileRulesCache.set(file, rules);
+    return rules;
+  }
+
+  isExcludedDirectory(relativePath) {
+    // A trailing slash lets "**/dist/**" match the directory itself
+    const dir = `${this.normalizePath(relativePath)}/`;
+    return this.exclude.some(regex => regex.test(dir));
+  }
+
+  isIncludedFile(relativePath) {
+    const file = this.normalizePath(relativePath);
+    return this.include.some(regex => regex.test(file)) &&
+      !this.exclude.some(regex => regex.test(file));
+  }
+
+  normalizePath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+  }
+
+  isRegExpLiteral(value) {
+    return value instanceof RegExp || /^\/.*\/[a-z]*$/.test(String(value));
+  }
+
+  toRegExp(pattern) {
+    if (pattern instanceof RegExp) {
+      return pattern;
+    }
+    // "/pattern/flags" keeps its flags, anything else is a plain source string
+    const literal = String(pattern).match(/^\/(.*)\/([a-z]*)$/);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+  }
+
+  globToRegExp(glob) {
+    let source = '';
+    let inGroup = false;
+    
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      
+      if (char === '*' && glob[i + 1] === '*') {
+        // "**/" matches any number of directories, including none
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i++;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        inGroup = true;
+        source += '(?:';
+      } else if (char === '}' && inGroup) {
+        inGroup = false;
+        source += ')';
+      } else if (char === ',' && inGroup) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    
+    return new RegExp(`^${source}$`);
+  }
+}
+
+module.exports = TranslatorConfig;
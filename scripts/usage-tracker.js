@@ -0,0 +1,194 @@
+const BudgetError = require('./budget-error');
+
+// USD per million input and output tokens, matched by the longest prefix
+// of the model name. Models without a price are counted but not costed.
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15, output: 75 },
+  // Local servers and offline fixtures
+  'llama': { input: 0, output: 0 },
+  'mock': { input: 0, output: 0 }
+};
+
+/**
+ * Token totals and estimated cost of a run, per language, stage (batch,
+ * retry, individual, review, retranslate) and model, with optional caps on
+ * the whole run's cost (MAX_BUDGET, in USD) and tokens (MAX_TOKENS_TOTAL).
+ * Requests reserve their estimated usage before they are sent, so parallel
+ * requests can't overshoot a cap together.
+ */
+class UsageTracker {
+  constructor({ prices = {}, maxBudget = 0, maxTokens = 0 } = {}) {
+    this.prices = { ...MODEL_PRICES, ...prices };
+    this.maxBudget = maxBudget;
+    this.maxTokens = maxTokens;
+    this.records = new Map();
+    this.pending = { tokens: 0, cost: 0 };
+    // Spent by earlier runs of a resumed run, counted against the caps
+    this.carried = { tokens: 0, cost: 0 };
+    this.unpriced = new Set();
+  }
+
+  /**
+   * Prices and caps from the config's `usage` section; MAX_BUDGET and
+   * MAX_TOKENS_TOTAL take precedence. 0 means no cap.
+   */
+  static fromConfig(settings = {}, env = process.env) {
+    return new UsageTracker({
+      prices: settings.prices,
+      maxBudget: parseFloat(env.MAX_BUDGET || settings.maxBudget) || 0,
+      maxTokens: parseInt(env.MAX_TOKENS_TOTAL || settings.maxTokensTotal, 10) || 0
+    });
+  }
+
+  /**
+   * Count what the runs a resumed run continues spent against the caps.
+   */
+  carryOver({ tokens = 0, cost = 0 }) {
+    this.carried.tokens += tokens;
+    this.carried.cost += cost;
+  }
+
+  getPrice(model) {
+    const name = String(model || '').toLowerCase();
+    const prefix = Object.keys(this.prices)
+      .filter(key => name.startsWith(key.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Cost in USD, or null when the model has no price.
+   */
+  getCost(model, inputTokens, outputTokens) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return null;
+    }
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Hold a request's estimated usage against the caps until it is
+   * released. Throws a BudgetError if it would take the run past one.
+   */
+  reserve(model, inputTokens, outputTokens) {
+    const tokens = inputTokens + outputTokens;
+    const cost = this.getCost(model, inputTokens, outputTokens) || 0;
+    const totals = this.getTotals();
+    const spentTokens = totals.totalTokens + this.carried.tokens;
+    const spentCost = totals.cost + this.carried.cost;
+    
+    if (this.maxTokens > 0 && spentTokens + this.pending.tokens + tokens > this.maxTokens) {
+      throw new BudgetError(`Token limit reached: ${spentTokens} of ${this.maxTokens} tokens used, the next request needs about ${tokens} more`, {
+        limit: this.maxTokens,
+        spent: spentTokens
+      });
+    }
+    if (this.maxBudget > 0 && spentCost + this.pending.cost + cost > this.maxBudget) {
+      throw new BudgetError(`Budget reached: $${spentCost.toFixed(4)} of $${this.maxBudget} spent, the next request costs about $${cost.toFixed(4)}`, {
+        limit: this.maxBudget,
+        spent: spentCost
+      });
+    }
+    
+    this.pending.tokens += tokens;
+    this.pending.cost += cost;
+    return { tokens, cost };
+  }
+
+  release(reservation) {
+    this.pending.tokens -= reservation.tokens;
+    this.pending.cost -= reservation.cost;
+  }
+
+  /**
+   * Add one response's usage. `estimated` marks usage the backend didn't
+   * report, estimated from the prompt and answer instead.
+   */
+  record({ language = null, stage, model, inputTokens, outputTokens, estimated = false }) {
+    const key = [language, stage, model].join('\0');
+    if (!this.records.has(key)) {
+      this.records.set(key, { language, stage, model, requests: 0, estimatedRequests: 0, inputTokens: 0, outputTokens: 0 });
+    }
+    
+    const record = this.records.get(key);
+    record.requests++;
+    record.inputTokens += inputTokens;
+    record.outputTokens += outputTokens;
+    if (estimated) {
+      record.estimatedRequests++;
+    }
+    
+    if (!this.getPrice(model) && !this.unpriced.has(model)) {
+      this.unpriced.add(model);
+      console.warn(`   ⚠️  No price for model ${model}; its tokens are counted but not costed (set usage.prices)`);
+    }
+  }
+
+  /**
+   * Totals over every record, or one language's, with a breakdown by stage
+   * and model.
+   */
+  getTotals({ language } = {}) {
+    const totals = { requests: 0, estimatedRequests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, stages: {}, models: {} };
+    
+    this.records.forEach(record => {
+      if (language !== undefined && record.language !== language) {
+        return;
+      }
+      
+      const cost = this.getCost(record.model, record.inputTokens, record.outputTokens) || 0;
+      [totals, UsageTracker.group(totals.stages, record.stage), UsageTracker.group(totals.models, record.model)].forEach(total => {
+        total.requests += record.requests;
+        total.inputTokens += record.inputTokens;
+        total.outputTokens += record.outputTokens;
+        total.cost += cost;
+      });
+      totals.estimatedRequests += record.estimatedRequests;
+    });
+    
+    totals.totalTokens = totals.inputTokens + totals.outputTokens;
+    return totals;
+  }
+
+  static group(groups, name) {
+    if (!groups[name]) {
+      groups[name] = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    }
+    return groups[name];
+  }
+
+  /**
+   * Totals for the translation metadata, costs rounded to a hundredth of
+   * a cent.
+   */
+  summary(options) {
+    const totals = this.getTotals(options);
+    const round = cost => Math.round(cost * 1e4) / 1e4;
+    [totals, ...Object.values(totals.stages), ...Object.values(totals.models)].forEach(total => {
+      total.cost = round(total.cost);
+    });
+    
+    return {
+      ...totals,
+      currency: 'USD',
+      ...(this.maxBudget > 0 ? { maxBudget: this.maxBudget } : {}),
+      ...(this.maxTokens > 0 ? { maxTokensTotal: this.maxTokens } : {})
+    };
+  }
+}
+
+UsageTracker.MODEL_PRICES = MODEL_PRICES;
+
+module.exports = UsageTracker;
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const TranslatorConfig = require('./translator-config');
+const VueSFCExtractor = require('./vue-sfc-extractor');
+const { textSimilarity } = require('./text-similarity');
+
+// Removed and added strings in the same file pair from this similarity,
+// strings in different files only when they are nearly identical
+const MIN_SIMILARITY = 0.5;
+const MIN_SIMILARITY_ELSEWHERE = 0.8;
+
+class VersionDelta {
+  constructor(config = TranslatorConfig.load(), options = {}) {
+    this.config = config;
+    this.minSimilarity = options.minSimilarity || MIN_SIMILARITY;
+  }
+
+  /**
+   * Compare two versions, each given as an extracted-text.json snapshot or
+   * a source tree to extract, and write version-delta.json/.md.
+   */
+  async compare(fromSource, toSource) {
+    console.log(`🔀 Comparing ${fromSource} → ${toSource}`);
+    
+    const from = await this.loadSnapshot(fromSource);
+    const to = await this.loadSnapshot(toSource);
+    
+    const fromTexts = new Map(from.texts.map(item => [item.text, item]));
+    const toTexts = new Map(to.texts.map(item => [item.text, item]));
+    
+    const removed = from.texts.filter(item => !toTexts.has(item.text));
+    const added = to.texts.filter(item => !fromTexts.has(item.text));
+    const unchanged = to.texts.length - added.length;
+    
+    const changed = this.pairChangedTexts(
+      removed.map(item => ({ text: item.text, occurrences: this.getOccurrences(item, from.sourceDir) })),
+      added.map(item => ({ text: item.text, occurrences: this.getOccurrences(item, to.sourceDir) }))
+    );
+    const paired = new Set(changed.flatMap(change => [change.from, change.to]));
+    
+    const delta = {
+      metadata: {
+        from: fromSource,
+        to: toSource,
+        generatedAt: new Date().toISOString(),
+        unchanged,
+        added: added.length - changed.length,
+        removed: removed.length - changed.length,
+        changed: changed.length
+      },
+      added: added
+        .filter(item => !paired.has(item.text))
+        .map(item => ({ text: item.text, occurrences: this.getOccurrences(item, to.sourceDir) })),
+      removed: removed
+        .filter(item => !paired.has(item.text))
+        .map(item => ({ text: item.text, occurrences: this.getOccurrences(item, from.sourceDir) })),
+      changed
+    };
+    
+    this.saveReport(delta);
+    return delta;
+  }
+
+  async loadSnapshot(source) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Snapshot or source directory not found: ${source}`);
+    }
+    
+    if (fs.statSync(source).isDirectory()) {
+      console.log(`🔍 Extracting texts from source tree: ${source}`);
+      // Scan without touching the working directory's manifest or extracted-text.json
+      const extractor = new VueSFCExtractor(source, this.config, { incremental: false });
+      await extractor.scanDirectory(source);
+      return { sourceDir: source, texts: extractor.removeDuplicates() };
+    }
+    
+    try {
+      const data = JSON.parse(fs.readFileSync(source, 'utf8'));
+      console.log(`📋 Loaded ${(data.texts || []).length} texts from snapshot: ${source}`);
+      return { sourceDir: (data.metadata && data.metadata.sourceDir) || '', texts: data.texts || [] };
+    } catch (error) {
+      throw new Error(`Invalid snapshot ${source}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Occurrences of an extracted text with paths relative to its source tree,
+   * so the same file matches across checkouts. Snapshots written before
+   * locations were recorded only have file names.
+   */
+  getOccurrences(item, sourceDir) {
+    const occurrences = item.occurrences ||
+      (item.files || [item.file]).map(file => ({ file, context: item.context }));
+    
+    return occurrences.map(occurrence => ({
+      file: this.getRelativeFile(occurrence.file, sourceDir),
+      ...(occurrence.line ? { line: occurrence.line } : {}),
+      context: occurrence.context
+    }));
+  }
+
+  getRelativeFile(file, sourceDir) {
+    const relative = sourceDir ? path.relative(sourceDir, file) : file;
+    return this.config.normalizePath(relative.startsWith('..') ? file : relative);
+  }
+
+  /**
+   * Pair removed strings with the added strings that replaced them. Pairs
+   * are scored by text similarity and by how close their locations are, and
+   * taken best first so every string is paired at most once.
+   */
+  pairChangedTexts(removed, added) {
+    const candidates = [];
+    
+    for (const before of removed) {
+      for (const after of added) {
+        const similarity = textSimilarity(before.text, after.text);
+        const location = this.getLocationScore(before.occurrences, after.occurrences);
+        const threshold = location > 0 ? this.minSimilarity : MIN_SIMILARITY_ELSEWHERE;
+        
+        if (similarity >= threshold) {
+          candidates.push({ before, after, similarity, score: similarity * 0.7 + location * 0.3 });
+        }
+      }
+    }
+    
+    candidates.sort((a, b) => b.score - a.score);
+    
+    const used = new Set();
+    const changed = [];
+    for (const { before, after, similarity } of candidates) {
+      if (used.has(before) || used.has(after)) {
+        continue;
+      }
+      used.add(before);
+      used.add(after);
+      changed.push({
+        from: before.text,
+        to: after.text,
+        similarity: Math.round(similarity * 100) / 100,
+        fromOccurrences: before.occurrences,
+        toOccurrences: after.occurrences
+      });
+    }
+    
+    return changed.sort((a, b) => a.to.localeCompare(b.to));
+  }
+
+  /**
+   * 0 when the strings never share a file, otherwise from 0.6 up to 1 for
+   * the same context on the same line.
+   */
+  getLocationScore(beforeOccurrences, afterOccurrences) {
+    let best = 0;
+    
+    for (const before of beforeOccurrences) {
+      for (const after of afterOccurrences) {
+        if (before.file !== after.file) {
+          continue;
+        }
+        const distance = before.line && after.line ? Math.abs(before.line - after.line) : 20;
+        const score = (before.context === after.context ? 0.6 : 0.5) + 0.4 / (1 + distance / 20);
+        best = Math.max(best, score);
+      }
+    }
+    
+    return best;
+  }
+
+  saveReport(delta) {
+    const reportPath = path.join(process.cwd(), 'version-delta.json');
+    fs.writeFileSync(reportPath, JSON.stringify(delta, null, 2));
+    
+    const summaryPath = path.join(process.cwd(), 'version-delta.md');
+    fs.writeFileSync(summaryPath, this.generateSummaryMarkdown(delta));
+    
+    const { metadata } = delta;
+    console.log(`📊 Delta summary:`);
+    console.log(`   - Unchanged: ${metadata.unchanged}`);
+    console.log(`   - Added: ${metadata.added}`);
+    console.log(`   - Removed: ${metadata.removed}`);
+    console.log(`   - Changed: ${metadata.changed}`);
+    console.log(`📋 Delta report saved to: ${reportPath}`);
+    console.log(`📄 Summary report saved to: ${summaryPath}`);
+  }
+
+  generateSummaryMarkdown(delta) {
+    const { metadata } = delta;
+    const location = occurrences => occurrences
+      .map(occurrence => occurrence.line ? `${occurrence.file}:${occurrence.line}` : occurrence.file)
+      .join(', ');
+    
+    let summary = `# Version Delta\n\n`;
+    summary += `**From:** ${metadata.from}\n`;
+    summary += `**To:** ${metadata.to}\n`;
+    summary += `**Date:** ${new Date(metadata.generatedAt).toLocaleString()}\n\n`;
+    
+    summary += `## Statistics\n\n`;
+    summary += `- **Unchanged:** ${metadata.unchanged}\n`;
+    summary += `- **Added:** ${metadata.added}\n`;
+    summary += `- **Removed:** ${metadata.removed}\n`;
+    summary += `- **Changed:** ${metadata.changed}\n\n`;
+    
+    if (delta.changed.length > 0) {
+      summary += `## Changed\n\n`;
+      for (const change of delta.changed) {
+        summary += `- \`${change.from}\` → \`${change.to}\` (${Math.round(change.similarity * 100)}% similar, ${location(change.toOccurrences)})\n`;
+      }
+      summary += `\n`;
+    }
+    
+    if (delta.added.length > 0) {
+      summary += `## Added\n\n`;
+      for (const item of delta.added) {
+        summary += `- \`${item.text}\` (${location(item.occurrences)})\n`;
+      }
+      summary += `\n`;
+    }
+    
+    if (delta.removed.length > 0) {
+      summary += `## Removed\n\n`;
+      for (const item of delta.removed) {
+        summary += `- \`${item.text}\` (${location(item.occurrences)})\n`;
+      }
+      summary += `\n`;
+    }
+    
+    return summary;
+  }
+}
+
+// Main execution
+async function main() {
+  const [fromSource, toSource] = process.argv.slice(2);
+
+  if (!fromSource || !toSource) {
+    console.error('Usage: node version-delta.js <old-snapshot.json|old-source-dir> <new-snapshot.json|new-source-dir>');
+    process.exit(1);
+  }
+
+  try {
+    const delta = new VersionDelta();
+    await delta.compare(fromSource, toSource);
+    
+    console.log('✅ Version delta completed successfully');
+  } catch (error) {
+    console.error('❌ Version delta failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = VersionDelta;
@@ -2,53 +2,72 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { parse: parseSFC } = require('@vue/compiler-sfc');
-const { parse: babelParse } = require('@babel/parser');
+const { parse: parseTemplate, NodeTypes } = require('@vue/compiler-dom');
+const { parse: babelParse, parseExpression: babelParseExpression } = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
+const TranslatorConfig = require('./translator-config');
+
+const MANIFEST_VERSION = '1.0';
+
+// Code shown around each string, for the translator's context
+const MAX_SNIPPET_LENGTH = 240;
 
 class VueSFCExtractor {
-  constructor(sourceDir) {
+  constructor(sourceDir, config = TranslatorConfig.load(), options = {}) {
     this.sourceDir = sourceDir;
+    this.explain = Boolean(options.explain);
+    // Rejections aren't stored in the manifest, so --explain always parses everything
+    this.incremental = options.incremental !== false && !this.explain;
+    this.manifestPath = path.join(process.cwd(), 'extraction-manifest.json');
+    this.previousManifest = null;
+    this.manifestFiles = {};
+    this.fileChanges = { unchanged: 0, added: 0, modified: 0, deleted: 0 };
     this.extractedTexts = [];
+    this.rejectedTexts = [];
     this.processedFiles = 0;
+    this.currentLocator = null;
+    this.currentLines = null;
+    this.config = config;
+    
+    // Elements whose contents are code or raw text rather than UI copy
+    this.skipElements = new Set(['code', 'pre', 'kbd', 'samp', 'script', 'style']);
     
-    // Technical terms and patterns to exclude
-    this.technicalTerms = new Set([
-      'API', 'HTTP', 'HTTPS', 'JSON', 'XML', 'HTML', 'CSS', 'JS', 'TS',
-      'Vue', 'React', 'Node', 'npm', 'yarn', 'pnpm', 'webpack', 'vite',
-      'GitHub', 'Git', 'OAuth', 'JWT', 'UUID', 'URL', 'URI', 'SQL',
-      'CORS', 'REST', 'GraphQL', 'WebSocket', 'localStorage', 'sessionStorage',
-      'getElementById', 'querySelector', 'addEventListener', 'fetch', 'async', 'await',
-      'true', 'false', 'null', 'undefined', 'NaN', 'Infinity',
-      'floating-vue', 'vue-router', 'vue-virtual-scroller', 'vue-multiselect',
-      'modrinth', 'tauri', 'pinia'
+    // Elements that can sit inside a sentence and become <0>...</0> placeholders
+    this.inlineElements = new Set([
+      'a', 'b', 'strong', 'em', 'i', 'u', 's', 'small', 'span', 'mark', 'sub', 'sup', 'br',
+      'router-link', 'RouterLink', 'nuxt-link', 'NuxtLink'
     ]);
     
-    this.excludePatterns = [
-      /^https?:\/\//,          // URLs
-      /^\/[\/\w\-\.]*$/,       // File paths  
-      /^\.[\/\w\-]*$/,         // Relative paths starting with .
-      /^@[\/\w\-]*$/,          // Import paths starting with @
-      /^[A-Z_]{2,}$/,          // Constants (all caps)
-      /^\d+(\.\d+)*$/,         // Version numbers
-      /^[A-Za-z0-9+/=]+$/,     // Base64-like strings
-      /^#[0-9a-fA-F]{3,8}$/,   // Hex colors
-      /^rgb\(|rgba\(|hsl\(/,   // CSS colors
-      /^\$[a-zA-Z]/,           // CSS variables
-      /^var\(|calc\(|url\(/,   // CSS functions
-      /console\.|error|warn|info|debug|log/i, // Console methods
-      /^[a-z]+:[a-z]+$/,       // Key-value pairs like "type:button"
-      /^[A-Z][a-zA-Z]*Error$/, // Error types
-      /^[a-z]+-[a-z-]+$/,      // Package names (kebab-case)
-      /^\?[a-zA-Z]/,           // URL parameters
-      /^\w+\(\)$/,             // Function calls
-      /^\w+\.\w+/,             // Property access
-      /^[a-zA-Z0-9_-]+\.(vue|js|ts|css|scss|png|jpg|svg)$/i, // File references
-      /^\{\{.*\}\}$/,          // Vue template expressions
-      /^v-[a-z]/,              // Vue directives
-      /^[a-z][a-zA-Z]*[A-Z]/,  // camelCase identifiers
-      /^[A-Z][a-z]*$/          // PascalCase single words (likely component names)
-    ];
+    // Technical terms, exclude patterns and translatable props come from the
+    // project config and may be overridden per file
+    this.applyRules(config.rules);
+  }
+
+  applyRules(rules) {
+    this.technicalTerms = new Set(rules.technicalTerms.map(term => term.toLowerCase()));
+    this.excludePatterns = rules.excludePatterns;
+    this.identifierPatterns = rules.identifierPatterns;
+    this.translatableProps = rules.translatableProps;
+    this.translatableDirectives = rules.translatableDirectives;
+    this.messageFunctions = rules.messageFunctions;
+    this.forceInclude = rules.forceInclude;
+    this.sinks = rules.sinks;
+  }
+
+  /**
+   * Switch to the rules for a file. Returns false when a per-file override
+   * excludes it.
+   */
+  useFileRules(relativePath) {
+    const rules = this.config.getFileRules(relativePath);
+    if (!rules) {
+      console.log(`⏭️  Skipping excluded file: ${relativePath}`);
+      return false;
+    }
+    this.applyRules(rules);
+    return true;
   }
 
   async extractTexts() {
@@ -58,14 +77,28 @@ class VueSFCExtractor {
       throw new Error(`Source directory does not exist: ${this.sourceDir}`);
     }
 
+    this.loadManifest();
+    
     await this.scanDirectory(this.sourceDir);
     
+    // Files in the previous manifest that no longer exist
+    if (this.previousManifest) {
+      this.fileChanges.deleted = Object.keys(this.previousManifest.files)
+        .filter(file => !this.manifestFiles[file]).length;
+    }
+    
     console.log(`📊 Extraction complete:`);
     console.log(`   - Files processed: ${this.processedFiles}`);
+    if (this.previousManifest) {
+      console.log(`   - Files unchanged: ${this.fileChanges.unchanged}, added: ${this.fileChanges.added}, modified: ${this.fileChanges.modified}, deleted: ${this.fileChanges.deleted}`);
+    }
     console.log(`   - Texts extracted: ${this.extractedTexts.length}`);
     
     // Remove duplicates and sort
     const uniqueTexts = this.removeDuplicates();
+    const changes = this.summarizeTextChanges(uniqueTexts);
+    
+    this.saveManifest();
     
     // Save results
     const outputPath = path.join(process.cwd(), 'extracted-text.json');
@@ -74,77 +107,198 @@ class VueSFCExtractor {
         sourceDir: this.sourceDir,
         extractedAt: new Date().toISOString(),
         filesProcessed: this.processedFiles,
-        textsFound: uniqueTexts.length
+        textsFound: uniqueTexts.length,
+        ...(this.previousManifest ? { fileChanges: this.fileChanges } : {}),
+        ...(changes ? { changes } : {})
       },
       texts: uniqueTexts
     }, null, 2));
     
     console.log(`✅ Extracted texts saved to: ${outputPath}`);
+    if (changes) {
+      console.log(`🆕 Since previous run: ${changes.newTexts.length} new, ${changes.removedTexts.length} removed texts`);
+    }
+    
+    if (this.explain) {
+      this.saveRejectionReport();
+    }
+    
     return uniqueTexts;
   }
 
+  /**
+   * Hash of everything that decides what gets extracted from a file: the
+   * extractor code and the project config. A change forces a full rescan.
+   */
+  getRulesHash() {
+    const hash = crypto.createHash('sha256');
+    hash.update(fs.readFileSync(__filename));
+    hash.update(fs.readFileSync(require.resolve('./translator-config')));
+    if (this.config.configPath) {
+      hash.update(fs.readFileSync(this.config.configPath));
+    }
+    return hash.digest('hex');
+  }
+
+  loadManifest() {
+    if (!fs.existsSync(this.manifestPath)) {
+      return;
+    }
+    
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      if (manifest.version !== MANIFEST_VERSION ||
+          manifest.sourceDir !== this.sourceDir ||
+          manifest.rulesHash !== this.getRulesHash()) {
+        console.log(`🔄 Extraction rules or source changed, rescanning all files`);
+        return;
+      }
+      
+      this.previousManifest = manifest;
+      console.log(`📋 Loaded extraction manifest: ${Object.keys(manifest.files).length} files`);
+    } catch (error) {
+      console.warn(`⚠️  Error loading extraction manifest: ${error.message}`);
+    }
+  }
+
+  saveManifest() {
+    try {
+      fs.writeFileSync(this.manifestPath, JSON.stringify({
+        version: MANIFEST_VERSION,
+        sourceDir: this.sourceDir,
+        rulesHash: this.getRulesHash(),
+        updatedAt: new Date().toISOString(),
+        files: this.manifestFiles
+      }));
+      console.log(`💾 Extraction manifest saved: ${Object.keys(this.manifestFiles).length} files`);
+    } catch (error) {
+      console.warn(`⚠️  Error saving extraction manifest: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract one file, or reuse the manifest entry when its content hash is
+   * unchanged since the previous run.
+   */
+  async processSourceFile(filePath, relativePath) {
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    const previous = this.previousManifest && this.previousManifest.files[relativePath];
+    
+    if (previous && previous.hash === hash) {
+      this.fileChanges.unchanged++;
+      if (this.incremental) {
+        this.extractedTexts.push(...previous.texts);
+        this.manifestFiles[relativePath] = previous;
+        this.processedFiles++;
+        return;
+      }
+    } else if (this.previousManifest) {
+      this.fileChanges[previous ? 'modified' : 'added']++;
+    }
+    
+    const before = this.extractedTexts.length;
+    if (path.extname(filePath).toLowerCase() === '.vue') {
+      await this.processVueFile(filePath);
+    } else {
+      await this.processJSFile(filePath);
+    }
+    this.manifestFiles[relativePath] = { hash, texts: this.extractedTexts.slice(before) };
+  }
+
+  summarizeTextChanges(uniqueTexts) {
+    if (!this.previousManifest) {
+      return null;
+    }
+    
+    const previousTexts = new Set();
+    Object.values(this.previousManifest.files).forEach(entry => {
+      entry.texts.forEach(item => previousTexts.add(item.text));
+    });
+    const currentTexts = new Set(uniqueTexts.map(item => item.text));
+    
+    return {
+      newTexts: [...currentTexts].filter(text => !previousTexts.has(text)),
+      removedTexts: [...previousTexts].filter(text => !currentTexts.has(text)).sort((a, b) => a.localeCompare(b))
+    };
+  }
+
+  saveRejectionReport() {
+    const byRule = {};
+    this.rejectedTexts.forEach(item => {
+      byRule[item.rule] = (byRule[item.rule] || 0) + 1;
+    });
+    
+    const rejected = [...this.rejectedTexts].sort((a, b) =>
+      a.rule.localeCompare(b.rule) || a.text.localeCompare(b.text)
+    );
+    
+    const outputPath = path.join(process.cwd(), 'rejected-text.json');
+    fs.writeFileSync(outputPath, JSON.stringify({
+      metadata: {
+        sourceDir: this.sourceDir,
+        extractedAt: new Date().toISOString(),
+        textsRejected: rejected.length,
+        byRule
+      },
+      rejected
+    }, null, 2));
+    
+    console.log(`🔎 Rejected texts saved to: ${outputPath}`);
+    Object.entries(byRule)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([rule, count]) => console.log(`   - ${rule}: ${count}`));
+  }
+
   async scanDirectory(dir) {
     const entries = fs.readdirSync(dir, { withFileTypes: true });
     
     for (const entry of entries) {
       const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(this.sourceDir, fullPath);
       
       if (entry.isDirectory()) {
-        // Skip common directories that don't contain translatable content
-        if (!['node_modules', '.git', 'dist', 'build', '.nuxt', '.next'].includes(entry.name)) {
+        // Skip directories excluded by the config (node_modules, dist, ...)
+        if (!this.config.isExcludedDirectory(relativePath)) {
           await this.scanDirectory(fullPath);
         }
       } else if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        const filename = entry.name.toLowerCase();
-        
-        // Skip configuration files
-        const skipFiles = [
-          'nuxt.config.ts', 'nuxt.config.js',
-          'vite.config.ts', 'vite.config.js', 
-          'webpack.config.js', 'webpack.config.ts',
-          'rollup.config.js', 'rollup.config.ts',
-          'tailwind.config.js', 'tailwind.config.ts',
-          'tsconfig.json', 'package.json',
-          'eslint.config.js', 'eslint.config.ts'
-        ];
-        
-        if (skipFiles.includes(filename)) {
-          console.log(`⏭️  Skipping config file: ${entry.name}`);
+        if (!this.config.isIncludedFile(relativePath)) {
           continue;
         }
         
-        if (ext === '.vue') {
-          await this.processVueFile(fullPath);
-        } else if (['.js', '.ts', '.jsx', '.tsx'].includes(ext)) {
-          await this.processJSFile(fullPath);
-        }
+        await this.processSourceFile(fullPath, relativePath);
       }
     }
   }
 
   async processVueFile(filePath) {
     try {
-      console.log(`📄 Processing Vue file: ${path.relative(this.sourceDir, filePath)}`);
-      const content = fs.readFileSync(filePath, 'utf8');
       const relativePath = path.relative(this.sourceDir, filePath);
+      if (!this.useFileRules(relativePath)) {
+        return;
+      }
+      
+      console.log(`📄 Processing Vue file: ${relativePath}`);
+      const content = fs.readFileSync(filePath, 'utf8');
+      this.currentLocator = this.createLocator(content);
+      this.currentLines = content.split('\n');
       
       // Parse Vue SFC
       const { descriptor } = parseSFC(content, { filename: filePath });
       
       // Extract from template
       if (descriptor.template) {
-        this.extractFromTemplate(descriptor.template.content, relativePath);
+        this.extractFromTemplate(descriptor.template.content, relativePath, descriptor.template.loc.start.offset);
       }
       
       // Extract from script
       if (descriptor.script) {
-        this.extractFromScript(descriptor.script.content, relativePath);
+        this.extractFromScript(descriptor.script.content, relativePath, descriptor.script.loc.start.offset);
       }
       
       // Extract from script setup
       if (descriptor.scriptSetup) {
-        this.extractFromScript(descriptor.scriptSetup.content, relativePath);
+        this.extractFromScript(descriptor.scriptSetup.content, relativePath, descriptor.scriptSetup.loc.start.offset);
       }
       
       this.processedFiles++;
@@ -153,47 +307,308 @@ class VueSFCExtractor {
     }
   }
 
-  extractFromTemplate(templateContent, filePath) {
+  extractFromTemplate(templateContent, filePath, blockOffset = 0) {
     if (!templateContent) return;
     
-    // Extract text content between tags (excluding Vue expressions)
-    const textMatches = templateContent.match(/>([^<>{}]+)</g);
-    if (textMatches) {
-      textMatches.forEach(match => {
-        const text = match.slice(1, -1).trim();
-        if (this.isTranslatableText(text)) {
-          this.addText(text, filePath, 'template-text');
+    let ast;
+    try {
+      // Keep whitespace as written so AST offsets line up with the source
+      ast = parseTemplate(templateContent, { whitespace: 'preserve' });
+    } catch (error) {
+      console.warn(`   ⚠️  Error parsing template in ${filePath}: ${error.message}`);
+      return;
+    }
+    
+    this.walkTemplateNodes(ast.children, filePath, blockOffset, null);
+  }
+
+  walkTemplateNodes(nodes, filePath, blockOffset, parentTag) {
+    for (const node of nodes) {
+      switch (node.type) {
+        case NodeTypes.ELEMENT:
+          // Code samples and raw content are never UI copy
+          if (this.skipElements.has(node.tag.toLowerCase())) {
+            break;
+          }
+          this.extractFromElementProps(node, filePath, blockOffset);
+          // Sentences mixing text, {{ }} and inline markup become one message
+          if (!this.extractTemplateMessage(node, filePath, blockOffset)) {
+            this.walkTemplateNodes(node.children, filePath, blockOffset, node.tag);
+          }
+          break;
+          
+        case NodeTypes.TEXT: {
+          // Use the raw source so the text matches what is written in the file
+          const rawText = node.loc.source;
+          const leading = rawText.length - rawText.trimStart().length;
+          this.considerText(rawText.trim(), filePath, 'template-text', blockOffset + node.loc.start.offset + leading, {
+            element: parentTag
+          });
+          break;
         }
-      });
+          
+        case NodeTypes.INTERPOLATION:
+          this.extractFromExpression(node.content, filePath, blockOffset, 'template-expression', {
+            element: parentTag
+          });
+          break;
+      }
+    }
+  }
+
+  /**
+   * Extract an element's children as a single message when they mix text with
+   * interpolations or inline markup, e.g. `Installed {{ count }} mods` becomes
+   * "Installed {count} mods" and `Click <a>here</a>` becomes "Click <0>here</0>".
+   * Each placeholder token maps back to the source it stands for so the
+   * replacer can rebuild the template from a reordered translation. Returns
+   * false when the children don't form a message and are walked one by one.
+   */
+  extractTemplateMessage(element, filePath, blockOffset) {
+    const children = element.children;
+    const meaningful = children.filter(child => child.type !== NodeTypes.TEXT || child.loc.source.trim());
+    if (meaningful.length < 2) {
+      return false;
+    }
+    
+    const state = { placeholders: {}, expressions: new Map(), valueCount: 0, tagCount: 0, elements: [] };
+    const rawMessage = this.buildTemplateMessage(children, state);
+    if (rawMessage === null || Object.keys(state.placeholders).length === 0) {
+      return false;
+    }
+    
+    const message = rawMessage.trim();
+    const plainText = message.replace(/\{[^{}]+\}|<\/?\d+\/?>/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!/[a-zA-Z]/.test(plainText)) {
+      // Only values ({{ a }} / {{ b }}): no sentence to keep together
+      return false;
+    }
+    
+    const spanStart = children[0].loc.start.offset;
+    const rawSource = element.loc.source.slice(
+      spanStart - element.loc.start.offset,
+      children[children.length - 1].loc.end.offset - element.loc.start.offset
+    );
+    const leading = rawSource.length - rawSource.trimStart().length;
+    
+    const meta = {
+      element: element.tag,
+      source: rawSource.trim(),
+      placeholders: state.placeholders
+    };
+    // A rejected message is recorded as a whole; extracting its fragments
+    // instead would leave half-translated sentences ("Click 这里 to log in")
+    this.considerText(message, filePath, 'template-message', blockOffset + spanStart + leading, meta, plainText);
+    
+    // Attributes on inline elements are kept verbatim in the placeholders
+    for (const inline of state.elements) {
+      this.extractFromElementProps(inline, filePath, blockOffset);
     }
     
-    // Extract attribute values (placeholders, titles, etc.)
-    const attrRegex = /(title|placeholder|alt|aria-label|data-tooltip)\s*=\s*"([^"]+)"/g;
-    let attrMatch;
-    while ((attrMatch = attrRegex.exec(templateContent)) !== null) {
-      const attrValue = attrMatch[2];
-      if (this.isTranslatableText(attrValue)) {
-        this.addText(attrValue, filePath, `attribute-${attrMatch[1]}`);
+    return true;
+  }
+
+  buildTemplateMessage(nodes, state) {
+    let message = '';
+    
+    for (const node of nodes) {
+      if (node.type === NodeTypes.TEXT) {
+        message += node.loc.source.replace(/\s+/g, ' ');
+      } else if (node.type === NodeTypes.INTERPOLATION) {
+        const token = `{${this.getPlaceholderName(node.content.content, state)}}`;
+        state.placeholders[token] = node.loc.source;
+        message += token;
+      } else if (node.type === NodeTypes.ELEMENT && this.isInlineElement(node)) {
+        const index = state.tagCount++;
+        state.elements.push(node);
+        
+        if (node.children.length === 0) {
+          state.placeholders[`<${index}/>`] = node.loc.source;
+          message += `<${index}/>`;
+          continue;
+        }
+        
+        const inner = this.buildTemplateMessage(node.children, state);
+        if (inner === null) {
+          return null;
+        }
+        
+        const start = node.loc.start.offset;
+        state.placeholders[`<${index}>`] = node.loc.source.slice(0, node.children[0].loc.start.offset - start);
+        state.placeholders[`</${index}>`] = node.loc.source.slice(node.children[node.children.length - 1].loc.end.offset - start);
+        message += `<${index}>${inner}</${index}>`;
+      } else {
+        // Comments, block elements and anything structural end the sentence
+        return null;
       }
     }
     
-    // Extract hardcoded strings in Vue expressions (be more careful)
-    const vueExprRegex = /\{\{\s*([^}]+)\s*\}\}/g;
-    let exprMatch;
-    while ((exprMatch = vueExprRegex.exec(templateContent)) !== null) {
-      const expr = exprMatch[1].trim();
-      // Only extract simple string literals, not complex expressions
-      const stringMatch = expr.match(/^['"]([^'"]+)['"]$/);
-      if (stringMatch) {
-        const text = stringMatch[1];
-        if (this.isTranslatableText(text)) {
-          this.addText(text, filePath, 'template-expression');
+    return message;
+  }
+
+  getPlaceholderName(expression, state) {
+    const expr = expression.trim();
+    if (state.expressions.has(expr)) {
+      return state.expressions.get(expr);
+    }
+    
+    let name;
+    if (/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(expr)) {
+      // Simple paths are named after their last segment: user.name -> {name}
+      const base = expr.split('.').pop();
+      const taken = new Set(state.expressions.values());
+      name = base;
+      for (let suffix = 2; taken.has(name); suffix++) {
+        name = `${base}${suffix}`;
+      }
+    } else {
+      name = String(state.valueCount++);
+    }
+    
+    state.expressions.set(expr, name);
+    return name;
+  }
+
+  isInlineElement(element) {
+    if (!this.inlineElements.has(element.tag)) {
+      return false;
+    }
+    
+    // v-if/v-for/v-html change structure and can't move inside a sentence
+    return !element.props.some(prop =>
+      prop.type === NodeTypes.DIRECTIVE && ['if', 'else-if', 'else', 'for', 'html', 'text'].includes(prop.name)
+    );
+  }
+
+  extractFromElementProps(element, filePath, blockOffset) {
+    for (const prop of element.props) {
+      if (prop.type === NodeTypes.ATTRIBUTE) {
+        // Static attribute: title="..."
+        if (!prop.value || !this.isTranslatableProp(element.tag, prop.name)) {
+          continue;
         }
+        
+        const rawValue = prop.value.loc.source;
+        const quoted = /^["']/.test(rawValue);
+        const value = quoted ? rawValue.slice(1, -1) : rawValue;
+        const leading = value.length - value.trimStart().length;
+        const valueOffset = prop.value.loc.start.offset + (quoted ? 1 : 0) + leading;
+        this.considerText(value.trim(), filePath, `attribute-${prop.name}`, blockOffset + valueOffset, {
+          element: element.tag,
+          attribute: prop.name
+        });
+      } else if (prop.type === NodeTypes.DIRECTIVE && prop.name === 'bind') {
+        // Bound attribute: :title="'...'" or :label="busy ? 'Saving' : 'Save'"
+        const attribute = prop.arg && prop.arg.isStatic ? prop.arg.content : null;
+        if (!attribute || !this.isTranslatableProp(element.tag, attribute)) {
+          continue;
+        }
+        
+        this.extractFromExpression(prop.exp, filePath, blockOffset, `attribute-${attribute}`, {
+          element: element.tag,
+          attribute: prop.rawName
+        });
+      } else if (prop.type === NodeTypes.DIRECTIVE && this.translatableDirectives.includes(prop.name)) {
+        // Custom directive taking UI text: v-tooltip="'...'"
+        this.extractFromExpression(prop.exp, filePath, blockOffset, `directive-${prop.name}`, {
+          element: element.tag,
+          attribute: prop.rawName
+        });
       }
     }
   }
 
-  extractFromScript(scriptContent, filePath) {
+  /**
+   * Look a prop up in the registry, matching both the global list and the
+   * component's own list regardless of kebab-case or camelCase spelling.
+   */
+  isTranslatableProp(tag, name) {
+    const prop = this.toKebabCase(name);
+    const component = tag.replace(/(^|-)(\w)/g, (match, dash, char) => char.toUpperCase());
+    const lists = [this.translatableProps['*'], this.translatableProps[component]];
+    
+    return lists.some(list => list && list.some(entry => this.toKebabCase(entry) === prop));
+  }
+
+  toKebabCase(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+  }
+
+  extractFromExpression(expressionNode, filePath, blockOffset, context, meta) {
+    if (!expressionNode || typeof expressionNode.content !== 'string') {
+      return;
+    }
+    
+    let expression;
+    try {
+      expression = babelParseExpression(expressionNode.content, {
+        plugins: ['typescript']
+      });
+    } catch (error) {
+      return;
+    }
+    
+    // Only strings the expression can evaluate to, not every literal inside it
+    const strings = [];
+    this.collectExpressionStrings(expression, strings);
+    
+    for (const { text, start } of strings) {
+      const leading = text.length - text.trimStart().length;
+      this.considerText(text.trim(), filePath, context, blockOffset + expressionNode.loc.start.offset + start + leading, meta);
+    }
+  }
+
+  collectExpressionStrings(node, strings) {
+    switch (node.type) {
+      case 'StringLiteral':
+        strings.push({ text: node.value, start: node.start + 1 });
+        break;
+        
+      case 'TemplateLiteral':
+        if (node.expressions.length === 0) {
+          strings.push({ text: node.quasis[0].value.cooked || '', start: node.quasis[0].start });
+        }
+        break;
+        
+      case 'ConditionalExpression':
+        // busy ? 'Saving' : 'Save'
+        this.collectExpressionStrings(node.consequent, strings);
+        this.collectExpressionStrings(node.alternate, strings);
+        break;
+        
+      case 'LogicalExpression':
+        // title || 'Untitled'
+        this.collectExpressionStrings(node.left, strings);
+        this.collectExpressionStrings(node.right, strings);
+        break;
+        
+      case 'TSAsExpression':
+        this.collectExpressionStrings(node.expression, strings);
+        break;
+        
+      case 'CallExpression': {
+        // formatMessage({ id: '...', defaultMessage: '...' })
+        const callee = node.callee.type === 'MemberExpression' ? node.callee.property : node.callee;
+        if (!callee || !this.messageFunctions.includes(callee.name)) {
+          break;
+        }
+        for (const arg of node.arguments) {
+          if (arg.type !== 'ObjectExpression') {
+            continue;
+          }
+          for (const property of arg.properties) {
+            const key = property.key && (property.key.name || property.key.value);
+            if (property.type === 'ObjectProperty' && key === 'defaultMessage') {
+              this.collectExpressionStrings(property.value, strings);
+            }
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  extractFromScript(scriptContent, filePath, blockOffset = 0) {
     if (!scriptContent) return;
     
     try {
@@ -203,66 +618,358 @@ class VueSFCExtractor {
         plugins: ['typescript', 'jsx', 'decorators-legacy']
       });
       
+      // Literals already extracted as part of a larger message
+      const handledNodes = new WeakSet();
+      
       traverse(ast, {
-        StringLiteral: (path) => {
-          const text = path.node.value;
-          if (this.isTranslatableText(text)) {
-            // Additional check: avoid importing paths and technical strings
-            const parent = path.parent;
-            
-            // Skip import statements
-            if (parent && parent.type === 'ImportDeclaration') {
-              return;
-            }
-            
-            // Skip object keys that look technical
-            if (parent && parent.type === 'ObjectProperty' && path.node === parent.key) {
-              return;
-            }
-            
-            // Skip if it looks like a function/method name
-            if (parent && parent.type === 'CallExpression' && path.node === parent.callee) {
-              return;
+        BinaryExpression: (path) => {
+          // Only the outermost node of a concatenation chain, the inner
+          // ones being its left spine; additions inside a message are part
+          // of one of its expressions
+          if (path.node.operator !== '+' || handledNodes.has(path.node) ||
+              (this.isConcatenation(path.parent) && path.parent.left === path.node && !(path.node.extra && path.node.extra.parenthesized))) {
+            return;
+          }
+          
+          const operands = this.flattenConcatenation(path.node);
+          if (!operands.some(operand => operand.type === 'StringLiteral')) {
+            return;
+          }
+          
+          operands.forEach(operand => handledNodes.add(operand));
+          path.traverse({
+            BinaryExpression: (inner) => {
+              handledNodes.add(inner.node);
             }
-            
-            this.addText(text, filePath, 'script-string');
+          });
+          this.extractScriptMessage(path, operands, scriptContent, filePath, blockOffset, 'script-concat');
+        },
+        StringLiteral: (path) => {
+          if (handledNodes.has(path.node)) {
+            return;
           }
+          
+          // Avoid importing paths and technical strings
+          const parent = path.parent;
+          
+          // Skip import statements
+          if (parent && parent.type === 'ImportDeclaration') {
+            return;
+          }
+          
+          // Skip object keys that look technical
+          if (parent && parent.type === 'ObjectProperty' && path.node === parent.key) {
+            return;
+          }
+          
+          // Skip if it looks like a function/method name
+          if (parent && parent.type === 'CallExpression' && path.node === parent.callee) {
+            return;
+          }
+          
+          // Point past the opening quote
+          this.considerScriptText(path, path.node.value, filePath, 'script-string', blockOffset + path.node.start + 1);
         },
         TemplateLiteral: (path) => {
-          // Extract from template literals, but be careful about expressions
-          path.node.quasis.forEach(quasi => {
-            const text = quasi.value.cooked || quasi.value.raw;
-            if (text && this.isTranslatableText(text)) {
-              this.addText(text, filePath, 'script-template');
-            }
-          });
+          // Tagged templates (css``, gql``) are code, not UI text
+          if (handledNodes.has(path.node) || path.parent.type === 'TaggedTemplateExpression') {
+            return;
+          }
+          
+          if (path.node.expressions.length > 0) {
+            this.extractScriptMessage(path, [path.node], scriptContent, filePath, blockOffset, 'script-template');
+            return;
+          }
+          
+          const quasi = path.node.quasis[0];
+          const text = quasi.value.cooked || quasi.value.raw;
+          const leading = quasi.value.raw.length - quasi.value.raw.trimStart().length;
+          this.considerScriptText(path, text, filePath, 'script-template', blockOffset + quasi.start + leading);
         }
       });
     } catch (error) {
       console.warn(`   ⚠️  Error parsing script in ${filePath}: ${error.message}`);
       // Fallback to regex-based extraction
-      this.extractFromScriptRegex(scriptContent, filePath);
+      this.extractFromScriptRegex(scriptContent, filePath, blockOffset);
     }
   }
 
-  extractFromScriptRegex(scriptContent, filePath) {
+  /**
+   * Classify a script string by where it flows. Strings passed to a denied
+   * sink (emit event names, invoke commands, storage keys, comparisons...)
+   * are rejected outright; strings reaching an allowed UI sink (notification
+   * text, thrown errors, defaultMessage) skip the heuristic filters.
+   * `forceInclude` wins over both.
+   */
+  considerScriptText(path, text, filePath, context, offset, meta = {}, checkText = text) {
+    const flow = this.getStringFlow(path);
+    
+    if (flow.callee) {
+      meta = { ...meta, call: flow.isNew ? `new ${flow.callee}()` : `${flow.callee}()` };
+    }
+    
+    if (this.isForceIncluded(text)) {
+      this.addText(text, filePath, context, offset, meta);
+      return true;
+    }
+    
+    const allowed = this.sinks.allow.find(rule => this.matchesSink(rule, flow));
+    if (allowed && /[a-zA-Z]/.test(checkText)) {
+      this.addText(text, filePath, context, offset, { ...meta, sink: this.describeSink(allowed) });
+      return true;
+    }
+    
+    const denied = !allowed && this.sinks.deny.find(rule => this.matchesSink(rule, flow));
+    if (denied) {
+      this.rejectText(text, filePath, context, offset, `sink ${this.describeSink(denied)}`);
+      return false;
+    }
+    
+    return this.considerText(text, filePath, context, offset, meta, checkText);
+  }
+
+  getStringFlow(path) {
+    // Look through expressions that pass the value on unchanged
+    let current = path;
+    while (current.parentPath) {
+      const parent = current.parent;
+      const passesValue =
+        (parent.type === 'ConditionalExpression' && parent.test !== current.node) ||
+        parent.type === 'LogicalExpression' ||
+        parent.type === 'TSAsExpression' ||
+        parent.type === 'ParenthesizedExpression';
+      if (!passesValue) {
+        break;
+      }
+      current = current.parentPath;
+    }
+    
+    const node = current.node;
+    const parent = current.parent;
+    const flow = {};
+    if (!parent) {
+      return flow;
+    }
+    
+    if (parent.type === 'SwitchCase' && parent.test === node) {
+      flow.syntax = 'switch-case';
+    } else if (parent.type === 'BinaryExpression' && ['===', '!==', '==', '!=', 'in'].includes(parent.operator)) {
+      flow.syntax = 'comparison';
+    } else if (parent.type === 'MemberExpression' && parent.computed && parent.property === node) {
+      flow.syntax = 'computed-member';
+    } else if (parent.type === 'ObjectProperty' && parent.value === node) {
+      flow.property = parent.key.name || parent.key.value;
+      // The object may itself be an argument: addNotification({ title: '...' })
+      const objectPath = current.parentPath.parentPath;
+      if (objectPath) {
+        this.addCallFlow(flow, objectPath.node, objectPath.parent);
+      }
+    } else {
+      this.addCallFlow(flow, node, parent);
+    }
+    
+    flow.enclosing = this.getEnclosingCalls(path);
+    return flow;
+  }
+
+  /**
+   * Every call a string sits inside, however deeply, with the top-level
+   * property of the argument it is under: 'close' in
+   * defineComponent({ emits: ['close'] }) gives { callee: 'defineComponent',
+   * property: 'emits' }. A component's `export default { ... }` counts as
+   * defineComponent().
+   */
+  getEnclosingCalls(path) {
+    const calls = [];
+    let property = null;
+    
+    for (let current = path; current.parentPath; current = current.parentPath) {
+      const parent = current.parent;
+      if (parent.type === 'ObjectProperty' && parent.value === current.node) {
+        property = parent.key.name || parent.key.value;
+      } else if ((parent.type === 'CallExpression' || parent.type === 'NewExpression') &&
+          (parent.arguments.includes(current.node) || parent.typeParameters === current.node)) {
+        calls.push({ callee: this.getCalleeName(parent.callee), isNew: parent.type === 'NewExpression', property });
+        property = null;
+      } else if (parent.type === 'ExportDefaultDeclaration' && current.node.type === 'ObjectExpression') {
+        calls.push({ callee: 'defineComponent', isNew: false, property });
+      }
+    }
+    
+    return calls;
+  }
+
+  addCallFlow(flow, node, parent) {
+    if (parent && (parent.type === 'CallExpression' || parent.type === 'NewExpression')) {
+      const argument = parent.arguments.indexOf(node);
+      if (argument !== -1) {
+        flow.callee = this.getCalleeName(parent.callee);
+        flow.argument = argument;
+        flow.isNew = parent.type === 'NewExpression';
+      }
+    }
+  }
+
+  getCalleeName(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'ThisExpression':
+        return 'this';
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        if (node.computed) {
+          return `${this.getCalleeName(node.object)}[]`;
+        }
+        return `${this.getCalleeName(node.object)}.${node.property.name}`;
+      case 'CallExpression':
+        return `${this.getCalleeName(node.callee)}()`;
+      default:
+        return '?';
+    }
+  }
+
+  matchesSink(rule, flow) {
+    if (rule.syntax) {
+      return rule.syntax === flow.syntax;
+    }
+    
+    if (rule.nested) {
+      // Anywhere inside the call's arguments, not only a direct argument
+      return (flow.enclosing || []).some(call => this.matchesSink({ ...rule, nested: false }, call));
+    }
+    
+    const callee = rule.callee || rule.newExpression;
+    if (callee) {
+      // "router.push" matches router.push and this.router.push
+      const name = flow.callee || '';
+      if (Boolean(rule.newExpression) !== Boolean(flow.isNew) ||
+          (name !== callee && !name.endsWith(`.${callee}`))) {
+        return false;
+      }
+      if (rule.argument !== undefined && rule.argument !== flow.argument) {
+        return false;
+      }
+    }
+    
+    if (rule.property) {
+      return [].concat(rule.property).includes(flow.property);
+    }
+    
+    return Boolean(callee);
+  }
+
+  describeSink(rule) {
+    if (rule.syntax) {
+      return rule.syntax;
+    }
+    
+    let description = rule.newExpression ? `new ${rule.newExpression}()` : rule.callee ? `${rule.callee}()` : '';
+    if (rule.argument !== undefined) {
+      description += ` argument ${rule.argument}`;
+    }
+    if (rule.property) {
+      description += ` property ${[].concat(rule.property).join('|')}`;
+    }
+    if (rule.nested) {
+      description = `inside ${description.trim()}`;
+    }
+    return description.trim();
+  }
+
+  isConcatenation(node) {
+    return Boolean(node) && node.type === 'BinaryExpression' && node.operator === '+';
+  }
+
+  isStringOperand(node) {
+    return node.type === 'StringLiteral' || node.type === 'TemplateLiteral';
+  }
+
+  /**
+   * Operands of a `+` chain along its left-associative spine. Right-hand
+   * and parenthesised additions are evaluated on their own, so they stay
+   * one operand: `'Total: ' + (count + 1)` has two. Leading non-string
+   * operands are summed before any string joins them, so `a + b + ' items'`
+   * keeps `a + b` as one operand too.
+   */
+  flattenConcatenation(node) {
+    if (!this.isConcatenation(node)) {
+      return [node];
+    }
+    const left = this.isConcatenation(node.left) && !(node.left.extra && node.left.extra.parenthesized)
+      ? this.flattenConcatenation(node.left)
+      : [node.left];
+    if (!left.some(operand => this.isStringOperand(operand)) && !this.isStringOperand(node.right)) {
+      return [node];
+    }
+    return [...left, node.right];
+  }
+
+  /**
+   * Extract a template literal or string concatenation as one message, with
+   * `{name}` placeholders standing for its expressions. The replacer writes the
+   * translation back as a template literal, so `'Hello ' + name + '!'` becomes
+   * `` `你好 ${name}！` ``.
+   */
+  extractScriptMessage(path, operands, scriptContent, filePath, blockOffset, context) {
+    const node = path.node;
+    const state = { placeholders: {}, expressions: new Map(), valueCount: 0 };
+    let message = '';
+    
+    const addExpression = (start, end) => {
+      const expression = scriptContent.slice(start, end);
+      const token = `{${this.getPlaceholderName(expression, state)}}`;
+      state.placeholders[token] = `\${${expression}}`;
+      message += token;
+    };
+    
+    // Every other operand is a whole node, `a + b` or `(count + 1)`
+    // included, so its placeholder is always a complete expression
+    for (const operand of operands) {
+      if (operand.type === 'StringLiteral') {
+        message += operand.value;
+      } else if (operand.type === 'TemplateLiteral') {
+        operand.quasis.forEach((quasi, index) => {
+          message += quasi.value.cooked ?? quasi.value.raw;
+          if (index < operand.expressions.length) {
+            const expression = operand.expressions[index];
+            addExpression(expression.start, expression.end);
+          }
+        });
+      } else {
+        addExpression(operand.start, operand.end);
+      }
+    }
+    
+    const plainText = message.replace(/\{[^{}]+\}/g, ' ').replace(/\s+/g, ' ').trim();
+    this.considerScriptText(path, message, filePath, context, blockOffset + node.start, {
+      source: scriptContent.slice(node.start, node.end),
+      placeholders: state.placeholders,
+      format: 'template-literal'
+    }, plainText);
+  }
+
+  extractFromScriptRegex(scriptContent, filePath, blockOffset = 0) {
     // Fallback regex-based extraction for when AST parsing fails
     const stringRegex = /['"`]([^'"`\n\r]{4,}?)['"`]/g;
     let match;
     
     while ((match = stringRegex.exec(scriptContent)) !== null) {
-      const text = match[1];
-      if (this.isTranslatableText(text)) {
-        this.addText(text, filePath, 'script-regex');
-      }
+      this.considerText(match[1], filePath, 'script-regex', blockOffset + match.index + 1);
     }
   }
 
   async processJSFile(filePath) {
     try {
-      console.log(`📄 Processing JS file: ${path.relative(this.sourceDir, filePath)}`);
-      const content = fs.readFileSync(filePath, 'utf8');
       const relativePath = path.relative(this.sourceDir, filePath);
+      if (!this.useFileRules(relativePath)) {
+        return;
+      }
+      
+      console.log(`📄 Processing JS file: ${relativePath}`);
+      const content = fs.readFileSync(filePath, 'utf8');
+      this.currentLocator = this.createLocator(content);
+      this.currentLines = content.split('\n');
       
       this.extractFromScript(content, relativePath);
       this.processedFiles++;
@@ -272,49 +979,152 @@ class VueSFCExtractor {
   }
 
   isTranslatableText(text) {
+    return this.isForceIncluded(text) || this.getRejectionRule(text) === null;
+  }
+
+  /**
+   * Whether a string matches a `forceInclude` entry. Matched against the
+   * string as written, before placeholders are stripped for the filters.
+   */
+  isForceIncluded(text) {
     if (!text || typeof text !== 'string') {
       return false;
     }
     
+    text = text.trim();
+    return Boolean(text) && this.forceInclude.some(entry => entry instanceof RegExp ? entry.test(text) : entry === text);
+  }
+
+  /**
+   * Return the rule that rejects a string, or null when it is translatable.
+   * `forceInclude` is checked by the callers, before sinks and filters. With
+   * `uiText` set the identifier heuristics are skipped, since the string is
+   * the value of a translatable prop or directive, or a prose message.
+   */
+  getRejectionRule(text, { uiText = false } = {}) {
+    if (!text || typeof text !== 'string') {
+      return 'empty';
+    }
+    
     text = text.trim();
     
     // Must be at least 2 characters and contain at least one letter
     if (text.length < 2 || !/[a-zA-Z]/.test(text)) {
-      return false;
+      return 'too-short-or-no-letters';
     }
     
     // Check exclude patterns
     for (const pattern of this.excludePatterns) {
       if (pattern.test(text)) {
-        return false;
+        return `exclude-pattern ${pattern}`;
+      }
+    }
+    
+    if (!uiText) {
+      for (const pattern of this.identifierPatterns) {
+        if (pattern.test(text)) {
+          return `identifier-pattern ${pattern}`;
+        }
       }
     }
     
     // Check technical terms
     if (this.technicalTerms.has(text.toLowerCase())) {
-      return false;
+      return 'technical-term';
     }
     
     // Skip if mostly numbers or symbols
     const alphaCount = (text.match(/[a-zA-Z]/g) || []).length;
     if (alphaCount / text.length < 0.3) {
-      return false;
+      return 'mostly-symbols';
     }
     
     // Skip single words that are likely technical (unless they contain spaces)
-    if (!text.includes(' ') && text.length < 15) {
+    if (!uiText && !text.includes(' ') && text.length < 15) {
       // Skip camelCase, PascalCase, or technical-looking single words
-      if (/^[a-z]+([A-Z][a-z]*)+$/.test(text) || // camelCase
-          /^[A-Z][a-z]*([A-Z][a-z]*)*$/.test(text) || // PascalCase
-          /^[a-z]+[-_][a-z]+/.test(text)) { // kebab-case or snake_case
-        return false;
+      if (/^[a-z]+([A-Z][a-z]*)+$/.test(text)) {
+        return 'single-word camelCase';
+      }
+      if (/^[A-Z][a-z]*([A-Z][a-z]*)*$/.test(text)) {
+        return 'single-word PascalCase';
+      }
+      if (/^[a-z]+[-_][a-z]+/.test(text)) {
+        return 'single-word kebab-case/snake_case';
       }
     }
     
-    return true;
+    return null;
   }
 
-  addText(text, filePath, context) {
+  /**
+   * Add a string if it passes the filters, otherwise record the rule that
+   * rejected it for the --explain report. `checkText` is what the filters
+   * run on, e.g. a message with its placeholders removed.
+   */
+  considerText(text, filePath, context, offset = 0, meta = {}, checkText = text) {
+    // Prop and directive values are labels; template messages of several
+    // words are prose, where "log" or "error" is just a word
+    const uiText = /^(attribute|directive)-/.test(context) ||
+      (context === 'template-message' && /\s/.test(checkText.trim()));
+    const rule = this.isForceIncluded(text) ? null : this.getRejectionRule(checkText, { uiText });
+    if (rule === null) {
+      this.addText(text, filePath, context, offset, meta);
+      return true;
+    }
+    
+    this.rejectText(text, filePath, context, offset, rule);
+    return false;
+  }
+
+  rejectText(text, filePath, context, offset, rule) {
+    if (this.explain && text && text.trim()) {
+      const location = this.currentLocator
+        ? this.currentLocator(offset)
+        : { line: 1, column: 1, offset, byteOffset: offset };
+      this.rejectedTexts.push({ text: text.trim(), file: filePath, context, rule, ...location });
+    }
+  }
+
+  /**
+   * Build an offset -> { line, column, offset, byteOffset } lookup for a file.
+   * Lines and columns are 1-based, offset is a character index into the file.
+   */
+  createLocator(content) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === '\n') {
+        lineStarts.push(i + 1);
+      }
+    }
+    
+    // Byte offset of every line start, so a lookup only measures its own line
+    const lineByteStarts = [0];
+    for (let i = 1; i < lineStarts.length; i++) {
+      lineByteStarts.push(lineByteStarts[i - 1] + Buffer.byteLength(content.slice(lineStarts[i - 1], lineStarts[i]), 'utf8'));
+    }
+    
+    return (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      
+      return {
+        line: low + 1,
+        column: offset - lineStarts[low] + 1,
+        offset,
+        byteOffset: lineByteStarts[low] + Buffer.byteLength(content.slice(lineStarts[low], offset), 'utf8')
+      };
+    };
+  }
+
+  addText(text, filePath, context, offset = 0, meta = {}) {
     if (!text || typeof text !== 'string') {
       return;
     }
@@ -322,22 +1132,46 @@ class VueSFCExtractor {
     text = text.trim();
     if (!text) return;
     
+    const location = this.currentLocator
+      ? this.currentLocator(offset)
+      : { line: 1, column: 1, offset, byteOffset: offset };
+    
     this.extractedTexts.push({
       text,
       file: filePath,
       context,
-      line: 1 // We could track line numbers if needed
+      ...meta,
+      ...location,
+      snippet: this.getSnippet(location.line)
     });
   }
 
+  /**
+   * The line a string is on and the non-blank lines either side of it,
+   * dedented, so the translator can see how the string is used.
+   */
+  getSnippet(line) {
+    if (!this.currentLines) {
+      return '';
+    }
+    
+    const lines = [line - 2, line - 1, line]
+      .map(index => this.currentLines[index])
+      .filter(text => text !== undefined && text.trim());
+    const indent = Math.min(...lines.map(text => text.match(/^\s*/)[0].length));
+    const snippet = lines.map(text => text.slice(indent).trimEnd()).join('\n');
+    return snippet.length > MAX_SNIPPET_LENGTH ? `${snippet.slice(0, MAX_SNIPPET_LENGTH - 1)}…` : snippet;
+  }
+
   removeDuplicates() {
     const seen = new Map();
     const unique = [];
     
     for (const item of this.extractedTexts) {
-      const key = item.text;
+      const { text: key, ...occurrence } = item;
+      
       if (seen.has(key)) {
-        // Merge file references
+        // Merge file references, keeping every exact occurrence
         const existing = seen.get(key);
         if (!existing.files) {
           existing.files = [existing.file];
@@ -346,8 +1180,9 @@ class VueSFCExtractor {
         if (!existing.files.includes(item.file)) {
           existing.files.push(item.file);
         }
+        existing.occurrences.push(occurrence);
       } else {
-        const newItem = { ...item };
+        const newItem = { ...item, occurrences: [occurrence] };
         seen.set(key, newItem);
         unique.push(newItem);
       }
@@ -359,15 +1194,19 @@ class VueSFCExtractor {
 
 // Main execution
 async function main() {
-  const sourceDir = process.argv[2];
+  const args = process.argv.slice(2);
+  const sourceDir = args.find(arg => !arg.startsWith('--'));
   
   if (!sourceDir) {
-    console.error('Usage: node vue-sfc-extractor.js <source-directory>');
+    console.error('Usage: node vue-sfc-extractor.js <source-directory> [--explain] [--full]');
     process.exit(1);
   }
   
   try {
-    const extractor = new VueSFCExtractor(sourceDir);
+    const extractor = new VueSFCExtractor(sourceDir, TranslatorConfig.load(), {
+      explain: args.includes('--explain'),
+      incremental: !args.includes('--full')
+    });
     const texts = await extractor.extractTexts();
     
     console.log(`✅ Text extraction completed successfully`);